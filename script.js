@@ -5,7 +5,6 @@ class VersionControl {
         this.rootId = null;             // Root version ID
         this.currentId = null;          // Current version ID
         this.maxVersions = maxVersions;
-        this.loadHistory();
     }
 
     // Generate unique ID
@@ -13,28 +12,25 @@ class VersionControl {
         return Date.now().toString(36) + Math.random().toString(36).slice(2);
     }
 
-    // Load version history from localStorage
-    loadHistory() {
+    // Load version history from stored { versions, versionMeta }
+    loadHistory(saved) {
         try {
-            const savedVersions = localStorage.getItem('wordMemoryVersions');
-            const savedMeta = localStorage.getItem('wordMemoryVersionMeta');
-            const savedSettings = localStorage.getItem('wordMemorySettings');
+            const savedVersions = saved ? saved.versions : null;
+            const meta = saved ? saved.versionMeta : null;
+            const savedSettings = localStorage.getItem(getBookStorageKey('wordMemorySettings'));
 
             // Check if it's old linear format (array) and migrate
             if (savedVersions) {
-                const parsed = JSON.parse(savedVersions);
-
-                if (Array.isArray(parsed)) {
+                if (Array.isArray(savedVersions)) {
                     // Old linear format - migrate to tree structure
-                    this.migrateFromLinear(parsed);
+                    this.migrateFromLinear(savedVersions);
                 } else {
                     // New tree format
-                    this.versions = new Map(Object.entries(parsed));
+                    this.versions = new Map(Object.entries(savedVersions));
                 }
             }
 
-            if (savedMeta) {
-                const meta = JSON.parse(savedMeta);
+            if (meta) {
                 this.rootId = meta.rootId;
                 this.currentId = meta.currentId;
             }
@@ -94,33 +90,12 @@ class VersionControl {
         this.saveHistory();
     }
 
-    // Save version history to localStorage
+    // Save version history (only changed versions are written)
     saveHistory() {
-        try {
-            // Save versions as object (will be converted to Map on load)
-            const versionsObj = Object.fromEntries(this.versions);
-            localStorage.setItem('wordMemoryVersions', JSON.stringify(versionsObj));
-
-            // Save metadata
-            const meta = {
-                rootId: this.rootId,
-                currentId: this.currentId
-            };
-            localStorage.setItem('wordMemoryVersionMeta', JSON.stringify(meta));
-        } catch (error) {
-            // If localStorage is full, try to remove old versions
-            if (error.name === 'QuotaExceededError') {
-                const toRemove = Math.max(10, Math.floor(this.maxVersions / 4));
-                this.pruneOldVersions(toRemove);
-                try {
-                    const versionsObj = Object.fromEntries(this.versions);
-                    localStorage.setItem('wordMemoryVersions', JSON.stringify(versionsObj));
-                    const meta = { rootId: this.rootId, currentId: this.currentId };
-                    localStorage.setItem('wordMemoryVersionMeta', JSON.stringify(meta));
-                } catch (e) {
-                }
-            }
-        }
+        wordStore.saveVersions(this.versions, {
+            rootId: this.rootId,
+            currentId: this.currentId
+        });
     }
 
     // --- Delta compression helpers ---
@@ -134,8 +109,16 @@ class VersionControl {
             fingerprints.get(fp).push(i);
         });
 
+        const idFingerprints = new Map(); // word id -> JSON string
+        parentData.forEach(item => {
+            if (item && item.id) idFingerprints.set(item.id, JSON.stringify(item));
+        });
+
         return newData.map(item => {
             const fp = JSON.stringify(item);
+            if (item && item.id && idFingerprints.get(item.id) === fp) {
+                return item.id; // Reference parent by word id
+            }
             const indices = fingerprints.get(fp);
             if (indices && indices.length > 0) {
                 return indices.shift(); // Reference parent by index
@@ -144,11 +127,17 @@ class VersionControl {
         });
     }
 
-    // Apply delta to reconstruct full data
+    // Apply delta to reconstruct full data (string entries are word ids, numbers are parent indices)
     applyDelta(parentData, delta) {
-        return delta.map(entry =>
-            typeof entry === 'number' ? parentData[entry] : entry
-        );
+        const byId = new Map();
+        parentData.forEach(item => {
+            if (item && item.id) byId.set(item.id, item);
+        });
+        return delta.map(entry => {
+            if (typeof entry === 'number') return parentData[entry];
+            if (typeof entry === 'string') return byId.get(entry);
+            return entry;
+        });
     }
 
     // Count consecutive delta depth from a version up to nearest snapshot
@@ -202,7 +191,8 @@ class VersionControl {
     }
 
     // Create a new version (creates child version under current version)
-    createVersion(data, description = 'Manual save') {
+    // mergeParentId records the second parent of a branch merge
+    createVersion(data, description = 'Manual save', mergeParentId = null) {
         const now = new Date().toISOString();
         const newVersion = {
             id: this.generateId(),
@@ -213,6 +203,7 @@ class VersionControl {
             wordCount: data.length,
             lastAccessed: now
         };
+        if (mergeParentId) newVersion.mergeParentId = mergeParentId;
 
         // Decide: snapshot or delta
         let useSnapshot = true;
@@ -374,6 +365,10 @@ class VersionControl {
                     : (idMap.get(version.parentId) || null),
                 children: (version.children || []).map(cid => idMap.get(cid)).filter(Boolean)
             };
+            if (version.mergeParentId) {
+                newVersion.mergeParentId = idMap.get(version.mergeParentId);
+                if (!newVersion.mergeParentId) delete newVersion.mergeParentId;
+            }
 
             // Imported root's parent changes, so if it's a delta, convert to snapshot
             if (oldId === importedRootId && newVersion.delta && !newVersion.data) {
@@ -571,7 +566,7 @@ class VersionControl {
     updateSettings(settings) {
         if (settings.maxVersions) {
             this.maxVersions = settings.maxVersions;
-            localStorage.setItem('wordMemorySettings', JSON.stringify({ maxVersions: this.maxVersions }));
+            localStorage.setItem(getBookStorageKey('wordMemorySettings'), JSON.stringify({ maxVersions: this.maxVersions }));
 
             // Trim versions if needed
             if (this.versions.size > this.maxVersions) {
@@ -589,6 +584,401 @@ class VersionControl {
     }
 }
 
+// IndexedDB storage for words, tag registry and version history, keyed by book.
+// Only records that changed since the last write are put; falls back to localStorage without IndexedDB.
+const WORD_DB_NAME = 'wordMemory';
+const WORD_DB_VERSION = 3;
+const LEGACY_DATA_KEYS = ['wordMemoryData', 'wordMemoryVersions', 'wordMemoryVersionMeta', 'wordMemoryTagRegistry'];
+const WORD_DB_STORES = ['words', 'versions', 'meta'];
+// Local dictionary entries keyed by lowercase headword, shared by all books
+const DICTIONARY_STORE = 'dictionary';
+
+class WordStore {
+    constructor() {
+        this.db = null;
+        this.bookId = null;
+        this._opening = null;
+        this._closedForUpgrade = false;
+        this._memoryDictionary = new Map(); // used when IndexedDB is unavailable
+        this._resetWriteState();
+    }
+
+    // null means "unknown" and forces a full rewrite on the next save
+    _resetWriteState() {
+        this._wordFingerprints = null;
+        this._versionSignatures = null;
+        this._versionMetaJson = null;
+        this._tagRegistryJson = null;
+    }
+
+    setBook(bookId) {
+        this.bookId = bookId;
+        this._resetWriteState();
+    }
+
+    // All records of a book: keys are [bookId, index | versionId | metaName]
+    _bookRange(bookId = this.bookId) {
+        return IDBKeyRange.bound([bookId], [bookId, []]);
+    }
+
+    // Concurrent callers share one connection attempt
+    open() {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+        if (this._opening) return this._opening;
+        this._opening = new Promise(resolve => {
+            let request;
+            try {
+                request = indexedDB.open(WORD_DB_NAME, WORD_DB_VERSION);
+            } catch (error) {
+                resolve(null);
+                return;
+            }
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion === 1) {
+                    this._upgradeToBooks(db, request.transaction);
+                } else if (event.oldVersion === 0) {
+                    WORD_DB_STORES.forEach(name => db.createObjectStore(name));
+                }
+                if (event.oldVersion < 3) {
+                    db.createObjectStore(DICTIONARY_STORE);
+                }
+            };
+            // Another tab still has the old version open; the upgrade waits until it closes
+            request.onblocked = () => {
+                showStatus('Close other tabs of this app to finish updating its storage', 'error');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // A newer version opened in another tab: step aside so its upgrade can run
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this._closedForUpgrade = true;
+                    showStatus('This app was updated in another tab. Reload to keep saving.', 'error');
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => resolve(null);
+        });
+        return this._opening;
+    }
+
+    // v1 kept a single word list; move it into the current book
+    _upgradeToBooks(db, tx) {
+        const bookId = this.bookId;
+        const old = {};
+        const reads = [
+            ['words', tx.objectStore('words').getAll()],
+            ['versions', tx.objectStore('versions').getAll()],
+            ['tagRegistry', tx.objectStore('meta').get('tagRegistry')],
+            ['versionMeta', tx.objectStore('meta').get('versionMeta')]
+        ];
+        let pending = reads.length;
+        reads.forEach(([name, request]) => {
+            request.onsuccess = () => {
+                old[name] = request.result;
+                if (--pending > 0) return;
+                WORD_DB_STORES.forEach(storeName => {
+                    db.deleteObjectStore(storeName);
+                    db.createObjectStore(storeName);
+                });
+                old.words.forEach((w, i) => tx.objectStore('words').put(w, [bookId, i]));
+                old.versions.forEach(v => tx.objectStore('versions').put(v, [bookId, v.id]));
+                if (old.tagRegistry) tx.objectStore('meta').put(old.tagRegistry, [bookId, 'tagRegistry']);
+                if (old.versionMeta) tx.objectStore('meta').put(old.versionMeta, [bookId, 'versionMeta']);
+            };
+        });
+    }
+
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Returns { words, tagRegistry, versions, versionMeta } of the current book
+    async load() {
+        // The connection is gone; reading would throw InvalidStateError
+        if (this._closedForUpgrade) throw new Error('Storage was closed for an update in another tab');
+        if (!this.db) {
+            this._moveLegacyLocalStorage();
+            return this._readLocalStorage();
+        }
+        if (LEGACY_DATA_KEYS.some(key => localStorage.getItem(key) !== null)) {
+            return this._migrateFromLocalStorage();
+        }
+
+        const tx = this.db.transaction(WORD_DB_STORES, 'readonly');
+        const range = this._bookRange();
+        const meta = tx.objectStore('meta');
+        const [words, versionList, tagRegistry, versionMeta] = await Promise.all([
+            this._request(tx.objectStore('words').getAll(range)),
+            this._request(tx.objectStore('versions').getAll(range)),
+            this._request(meta.get([this.bookId, 'tagRegistry'])),
+            this._request(meta.get([this.bookId, 'versionMeta']))
+        ]);
+
+        const versions = Object.fromEntries(versionList.map(v => [v.id, v]));
+        this._wordFingerprints = words.map(w => JSON.stringify(w));
+        this._versionSignatures = new Map(versionList.map(v => [v.id, this._versionSignature(v)]));
+        this._versionMetaJson = JSON.stringify(versionMeta || null);
+        this._tagRegistryJson = JSON.stringify(tagRegistry || []);
+        return { words, tagRegistry: tagRegistry || [], versions, versionMeta: versionMeta || null };
+    }
+
+    _localKey(key) {
+        return `${key}:${this.bookId}`;
+    }
+
+    // Without IndexedDB each book uses suffixed keys; the unsuffixed ones are pre-books data,
+    // read only to migrate them
+    _readLocalStorage(bookScoped = true) {
+        const read = (key, fallback) => {
+            try {
+                const saved = localStorage.getItem(bookScoped ? this._localKey(key) : key);
+                return saved ? JSON.parse(saved) : fallback;
+            } catch (error) {
+                return fallback;
+            }
+        };
+        return {
+            words: read('wordMemoryData', []),
+            tagRegistry: read('wordMemoryTagRegistry', []),
+            versions: read('wordMemoryVersions', null),
+            versionMeta: read('wordMemoryVersionMeta', null)
+        };
+    }
+
+    // Without IndexedDB: the first book loaded while pre-books keys exist takes them over
+    _moveLegacyLocalStorage() {
+        try {
+            LEGACY_DATA_KEYS.forEach(key => {
+                const value = localStorage.getItem(key);
+                if (value === null) return;
+                if (localStorage.getItem(this._localKey(key)) === null) localStorage.setItem(this._localKey(key), value);
+                localStorage.removeItem(key);
+            });
+        } catch (error) {
+        }
+    }
+
+    // One-time copy of the old localStorage keys into the current book; they are removed once the copy commits
+    async _migrateFromLocalStorage() {
+        const legacy = this._readLocalStorage(false);
+        // Old linear history (array) is converted by VersionControl, which then saves it
+        const versionList = legacy.versions && !Array.isArray(legacy.versions)
+            ? Object.values(legacy.versions)
+            : [];
+
+        this._wordFingerprints = legacy.words.map(w => JSON.stringify(w));
+        this._versionSignatures = new Map(versionList.map(v => [v.id, this._versionSignature(v)]));
+        this._versionMetaJson = JSON.stringify(legacy.versionMeta);
+        this._tagRegistryJson = JSON.stringify(legacy.tagRegistry);
+
+        const bookId = this.bookId;
+        const ok = await this._write(WORD_DB_STORES, tx => {
+            const range = this._bookRange(bookId);
+            WORD_DB_STORES.forEach(name => tx.objectStore(name).delete(range));
+            legacy.words.forEach((w, i) => tx.objectStore('words').put(w, [bookId, i]));
+            versionList.forEach(v => tx.objectStore('versions').put(v, [bookId, v.id]));
+            tx.objectStore('meta').put(legacy.tagRegistry, [bookId, 'tagRegistry']);
+            tx.objectStore('meta').put(legacy.versionMeta, [bookId, 'versionMeta']);
+        });
+        if (ok) {
+            LEGACY_DATA_KEYS.forEach(key => localStorage.removeItem(key));
+        }
+        return legacy;
+    }
+
+    _write(storeNames, fill) {
+        let tx;
+        try {
+            tx = this.db.transaction(storeNames, 'readwrite');
+            fill(tx);
+        } catch (error) {
+            if (tx) tx.abort();
+            this._handleWriteError(error);
+            return Promise.resolve(false);
+        }
+        return new Promise(resolve => {
+            tx.oncomplete = () => resolve(true);
+            tx.onabort = () => {
+                this._handleWriteError(tx.error);
+                resolve(false);
+            };
+        });
+    }
+
+    _writeLocalStorage(key, value) {
+        try {
+            localStorage.setItem(this._localKey(key), JSON.stringify(value));
+        } catch (error) {
+            this._handleWriteError(error);
+        }
+    }
+
+    _handleWriteError(error) {
+        this._resetWriteState();
+        const message = this._closedForUpgrade
+            ? 'Not saved: this app was updated in another tab. Reload to keep saving.'
+            : error && error.name === 'QuotaExceededError'
+                ? 'Storage is full. Export your data and delete old versions.'
+                : 'Failed to save data';
+        showStatus(message, 'error');
+    }
+
+    saveWords(list) {
+        if (!this.db) {
+            this._writeLocalStorage('wordMemoryData', list);
+            return;
+        }
+        const previous = this._wordFingerprints;
+        const fingerprints = list.map(w => JSON.stringify(w));
+        const changed = [];
+        fingerprints.forEach((fp, i) => {
+            if (!previous || previous[i] !== fp) changed.push(i);
+        });
+        const shrunk = previous && previous.length > list.length;
+        if (previous && changed.length === 0 && !shrunk) return;
+
+        const bookId = this.bookId;
+        this._wordFingerprints = fingerprints;
+        this._write(['words'], tx => {
+            const store = tx.objectStore('words');
+            if (!previous) store.delete(this._bookRange(bookId));
+            changed.forEach(i => store.put(list[i], [bookId, i]));
+            if (shrunk) store.delete(IDBKeyRange.bound([bookId, list.length], [bookId, previous.length]));
+        });
+    }
+
+    saveTagRegistry(registry) {
+        if (!this.db) {
+            this._writeLocalStorage('wordMemoryTagRegistry', registry);
+            return;
+        }
+        const json = JSON.stringify(registry);
+        if (json === this._tagRegistryJson) return;
+        this._tagRegistryJson = json;
+        const key = [this.bookId, 'tagRegistry'];
+        this._write(['meta'], tx => tx.objectStore('meta').put(registry, key));
+    }
+
+    // Version payloads (data/delta) never change in place, so only their presence is compared
+    _versionSignature(version) {
+        return JSON.stringify({ ...version, data: !!version.data, delta: !!version.delta });
+    }
+
+    saveVersions(versions, versionMeta) {
+        if (!this.db) {
+            this._writeLocalStorage('wordMemoryVersions', Object.fromEntries(versions));
+            this._writeLocalStorage('wordMemoryVersionMeta', versionMeta);
+            return;
+        }
+        const previous = this._versionSignatures;
+        const signatures = new Map();
+        const changed = [];
+        for (const [id, version] of versions) {
+            const signature = this._versionSignature(version);
+            signatures.set(id, signature);
+            if (!previous || previous.get(id) !== signature) changed.push(version);
+        }
+        const removed = previous ? Array.from(previous.keys()).filter(id => !versions.has(id)) : [];
+        const metaJson = JSON.stringify(versionMeta);
+        const metaChanged = metaJson !== this._versionMetaJson;
+        if (previous && changed.length === 0 && removed.length === 0 && !metaChanged) return;
+
+        const bookId = this.bookId;
+        this._versionSignatures = signatures;
+        this._versionMetaJson = metaJson;
+        this._write(['versions', 'meta'], tx => {
+            const store = tx.objectStore('versions');
+            if (!previous) store.delete(this._bookRange(bookId));
+            changed.forEach(version => store.put(version, [bookId, version.id]));
+            removed.forEach(id => store.delete([bookId, id]));
+            if (metaChanged) tx.objectStore('meta').put(versionMeta, [bookId, 'versionMeta']);
+        });
+    }
+
+    // Move all records of a book to a new book ID
+    renameBook(oldId, newId) {
+        if (!this.db) {
+            LEGACY_DATA_KEYS.forEach(key => {
+                const value = localStorage.getItem(`${key}:${oldId}`);
+                if (value === null) return;
+                localStorage.setItem(`${key}:${newId}`, value);
+                localStorage.removeItem(`${key}:${oldId}`);
+            });
+            return Promise.resolve(true);
+        }
+        return this._write(WORD_DB_STORES, tx => {
+            WORD_DB_STORES.forEach(name => {
+                const store = tx.objectStore(name);
+                const request = store.openCursor(this._bookRange(oldId));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    store.put(cursor.value, [newId, cursor.key[1]]);
+                    cursor.delete();
+                    cursor.continue();
+                };
+            });
+        });
+    }
+
+    deleteBook(bookId) {
+        if (!this.db) {
+            LEGACY_DATA_KEYS.forEach(key => localStorage.removeItem(`${key}:${bookId}`));
+            return Promise.resolve(true);
+        }
+        return this._write(WORD_DB_STORES, tx => {
+            WORD_DB_STORES.forEach(name => tx.objectStore(name).delete(this._bookRange(bookId)));
+        });
+    }
+
+    // Empty all stores (every book and the local dictionary)
+    clear() {
+        this._resetWriteState();
+        this._memoryDictionary.clear();
+        if (!this.db) return Promise.resolve(true);
+        return this._write([...WORD_DB_STORES, DICTIONARY_STORE], tx => {
+            [...WORD_DB_STORES, DICTIONARY_STORE].forEach(name => tx.objectStore(name).clear());
+        });
+    }
+
+    // Add or replace entries (Map of headword -> entry); without IndexedDB they last for the session
+    putDictionaryEntries(entries) {
+        if (!this.db) {
+            entries.forEach((entry, word) => this._memoryDictionary.set(word, entry));
+            return Promise.resolve(true);
+        }
+        return this._write([DICTIONARY_STORE], tx => {
+            const store = tx.objectStore(DICTIONARY_STORE);
+            entries.forEach((entry, word) => store.put(entry, word));
+        });
+    }
+
+    async getDictionaryEntry(word) {
+        if (!this.db) return this._memoryDictionary.get(word) || null;
+        const tx = this.db.transaction([DICTIONARY_STORE], 'readonly');
+        return (await this._request(tx.objectStore(DICTIONARY_STORE).get(word))) || null;
+    }
+
+    countDictionaryEntries() {
+        if (!this.db) return Promise.resolve(this._memoryDictionary.size);
+        const tx = this.db.transaction([DICTIONARY_STORE], 'readonly');
+        return this._request(tx.objectStore(DICTIONARY_STORE).count());
+    }
+
+    clearDictionary() {
+        this._memoryDictionary.clear();
+        if (!this.db) return Promise.resolve(true);
+        return this._write([DICTIONARY_STORE], tx => tx.objectStore(DICTIONARY_STORE).clear());
+    }
+}
+
+const wordStore = new WordStore();
+
 // Project ID
 const PROJECT_ID_KEY = 'wordMemoryProjectId';
 const APP_SETTINGS_KEY = 'wordMemoryAppSettings';
@@ -596,7 +986,8 @@ const DEFAULT_APP_SETTINGS = {
     actionSoundEnabled: true,
     audioPreloadEnabled: true,
     pronounceVolume: 1,
-    quizAutoPlay: false
+    quizAutoPlay: false,
+    dictionaryProvider: 'auto'
 };
 
 function createProjectId() {
@@ -650,11 +1041,16 @@ function sanitizeAppSettings(rawSettings) {
         ? parsed.quizAutoPlay
         : DEFAULT_APP_SETTINGS.quizAutoPlay;
 
+    const dictionaryProvider = ['auto', 'local', 'online'].includes(parsed.dictionaryProvider)
+        ? parsed.dictionaryProvider
+        : DEFAULT_APP_SETTINGS.dictionaryProvider;
+
     return {
         actionSoundEnabled,
         audioPreloadEnabled,
         pronounceVolume,
-        quizAutoPlay
+        quizAutoPlay,
+        dictionaryProvider
     };
 }
 
@@ -690,18 +1086,231 @@ function saveAppSettings() {
     }
 }
 
+// ========================================
+// Word Books
+// ========================================
+
+// Each book is identified by its project ID and has its own words, tags,
+// version history, review log and version settings
+const BOOKS_KEY = 'wordMemoryBooks';
+const BOOK_SCOPED_KEYS = ['wordMemorySettings', 'wordMemoryReviewLog', 'wordMemorySavedQueries', 'wordMemoryTagFilters', 'wordMemoryViewState'];
+
+let books = []; // Book IDs in creation order
+let bookDropdownInstance = null;
+
+function getBookStorageKey(key, bookId = getProjectId()) {
+    return `${key}:${bookId}`;
+}
+
+function saveBooks() {
+    try {
+        localStorage.setItem(BOOKS_KEY, JSON.stringify(books));
+    } catch (error) {
+    }
+}
+
+function loadBooks() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(BOOKS_KEY));
+    } catch (error) {
+    }
+    const currentId = getProjectId();
+    if (Array.isArray(saved) && saved.length > 0) {
+        books = saved;
+    } else {
+        // First run with books: the existing profile becomes the first book
+        BOOK_SCOPED_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value === null) return;
+            localStorage.setItem(getBookStorageKey(key, currentId), value);
+            localStorage.removeItem(key);
+        });
+        books = [];
+    }
+    if (!books.includes(currentId)) books.push(currentId);
+    saveBooks();
+    wordStore.setBook(currentId);
+}
+
+// Returns an error message, or null if bookId can be used (currentId may keep its own ID)
+function validateBookId(bookId, currentId = null) {
+    if (!bookId) return 'Book ID cannot be empty';
+    if (bookId.length > 128) return 'Book ID must be 128 characters or less';
+    if (bookId !== currentId && books.includes(bookId)) return `A book with ID "${bookId}" already exists`;
+    return null;
+}
+
+// Load the current book's words, tags, review log and version history
+async function loadBook() {
+    const stored = await loadData();
+    loadReviewLog();
+    loadSavedQueries();
+    migrateStringTagsToRegistry();
+    loadTagFilterState();
+    loadViewState();
+    if (ensureWordSenses(words) + ensureWordIds(words) > 0) wordStore.saveWords(words);
+
+    // Initialize version control
+    versionControl = new VersionControl(50);
+    versionControl.loadHistory(stored);
+
+    // Create initial version if no versions exist
+    if (versionControl.versions.size === 0 && words.length > 0) {
+        versionControl.createVersion(words, 'Initial version');
+    } else if (versionControl.versions.size === 0 && words.length === 0) {
+        versionControl.createVersion([], 'Initial empty state');
+    }
+    updateHistoryButtonLabel();
+}
+
+function showBookLoadError() {
+    document.getElementById('wordList').innerHTML = `
+        <div class="empty-state">
+            <div class="empty-state-icon">—</div>
+            <div>Could not load your words. Close other tabs of this app and reload.</div>
+        </div>
+    `;
+    showStatus('Failed to load data', 'error');
+}
+
+async function switchBook(bookId) {
+    Dropdown.closeAll();
+    if (!books.includes(bookId) || bookId === getProjectId()) return;
+
+    if (wordStore._closedForUpgrade) {
+        showStatus('This app was updated in another tab. Reload to switch books.', 'error');
+        return;
+    }
+
+    setProjectId(bookId);
+    wordStore.setBook(bookId);
+    try {
+        await loadBook();
+    } catch (error) {
+        showBookLoadError();
+        return;
+    }
+
+    // Selection and tag pickers refer to the previous book's words and tags; loadBook restored its filters
+    editingWordId = null;
+    isSelectMode = false;
+    selectedWords.clear();
+    tagSelectorState.edit = [];
+    tagSelectorState.batchFilter = '';
+    tagSelectorState.batchAction = [];
+    tagSelectorState.quiz = '';
+    _historySelectedId = null;
+    _historyExpandedSet.clear();
+    _historyCheckedSet.clear();
+    clearWordSearch();
+
+    resetAddAndBatchToolbarInputs();
+    updateViewControls();
+    renderWords();
+    updateBatchToolbar();
+    renderBookPicker();
+    showStatus(`Switched to ${bookId}`, 'success');
+}
+
+async function createBook() {
+    Dropdown.closeAll();
+    const input = prompt('New book ID:', createProjectId());
+    if (input === null) return;
+
+    const bookId = input.trim();
+    const error = validateBookId(bookId);
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    books.push(bookId);
+    saveBooks();
+    await switchBook(bookId);
+}
+
+// Move a book's stored data to a new ID (the ID is also the export filename prefix)
+async function renameBook(oldId, newId) {
+    if (oldId === newId || !books.includes(oldId)) return;
+
+    BOOK_SCOPED_KEYS.forEach(key => {
+        const value = localStorage.getItem(getBookStorageKey(key, oldId));
+        if (value === null) return;
+        localStorage.setItem(getBookStorageKey(key, newId), value);
+        localStorage.removeItem(getBookStorageKey(key, oldId));
+    });
+    const moved = wordStore.renameBook(oldId, newId);
+
+    books = books.map(id => (id === oldId ? newId : id));
+    saveBooks();
+    if (getProjectId() === oldId) {
+        // Later saves must target the new ID; queued writes keep their order
+        setProjectId(newId);
+        wordStore.bookId = newId;
+    }
+    renderBookPicker();
+    await moved;
+}
+
+async function deleteCurrentBook() {
+    Dropdown.closeAll();
+    if (books.length <= 1) return;
+
+    const bookId = getProjectId();
+    const confirmed = await showInPageConfirm({
+        title: 'Delete Book',
+        message: `Delete "${bookId}" with all its words and version history? This cannot be undone.`,
+        confirmText: 'Delete',
+        confirmTone: 'danger'
+    });
+    if (!confirmed) return;
+
+    const nextId = books.find(id => id !== bookId);
+    books = books.filter(id => id !== bookId);
+    saveBooks();
+    await switchBook(nextId);
+
+    BOOK_SCOPED_KEYS.forEach(key => localStorage.removeItem(getBookStorageKey(key, bookId)));
+    await wordStore.deleteBook(bookId);
+    playActionSound('delete');
+}
+
+function renderBookPicker() {
+    const selectedEl = document.getElementById('bookSelected');
+    const listEl = document.getElementById('bookDropdown');
+    if (!selectedEl || !listEl) return;
+
+    const currentId = getProjectId();
+    selectedEl.textContent = currentId;
+
+    const bookOptions = books.map(id => {
+        const isSelected = id === currentId ? 'selected' : '';
+        const safeId = escapeHtml(id).replace(/"/g, '&quot;');
+        return `<label class="dropdown-option book-option ${isSelected}" data-book-id="${safeId}" onclick="switchBook(this.dataset.bookId)">${escapeHtml(id)}</label>`;
+    }).join('');
+    const deleteOption = books.length > 1
+        ? '<label class="dropdown-option book-action book-action-danger" onclick="deleteCurrentBook()">Delete This Book</label>'
+        : '';
+    listEl.innerHTML = bookOptions
+        + '<label class="dropdown-option book-action" onclick="createBook()">+ New Book</label>'
+        + deleteOption;
+}
+
 // Data storage
 let words = [];
 let isFullMode = false;
 let hideMeaning = false;
-let editingIndex = -1;
-let selectedWords = new Set();
+let editingWordId = null;
+let selectedWords = new Set(); // word ids
 let isSelectMode = false;
 let versionControl = null;
-let wordSortMode = 'alpha'; // 'alpha', 'alpha-desc', 'chrono', 'chrono-desc'
+let wordSortMode = 'alpha'; // a key of SORT_MODE_LABELS
 let wordGroupMode = 'weight'; // 'weight', 'tag'
-let activeTagFilters = new Set(); // tags selected for filtering display
+let activeTagFilters = new Map(); // tag id -> filter group; a word needs one tag of every group
 let excludedTagFilters = new Set(); // tags excluded from display
+let tagFilterGroup = 0; // group that newly selected tags join
+let tagFilterModes = new Map(); // filter group -> 'all' when every tag of it must match; 'any' otherwise
 let cachedVoices = [];
 let appSettings = sanitizeAppSettings(null);
 
@@ -1476,15 +2085,11 @@ function resetAddAndBatchToolbarInputs() {
     const wordInput = document.getElementById('wordInput');
     if (wordInput) wordInput.value = '';
 
-    const meaningInput = document.getElementById('meaningInput');
-    if (meaningInput) meaningInput.value = '';
+    fillSenses('add');
 
     tagSelectorState.add = [];
     renderTagSelector('add');
 
-    selectedPos = [];
-    updatePosSelection();
-
     selectedWeight = 3;
     updateWeightSelection();
 
@@ -1511,10 +2116,15 @@ function resetAddAndBatchToolbarInputs() {
 }
 
 // Initialize
-window.onload = function() {
-    loadData();
-    loadTagRegistry();
-    migrateStringTagsToRegistry();
+window.onload = async function() {
+    loadBooks();
+    try {
+        await loadBook();
+    } catch (error) {
+        // Nothing below is safe to run without the book's data: a save would overwrite it
+        showBookLoadError();
+        return;
+    }
     appSettings = loadAppSettings();
     warmCoreAssets().finally(() => {
         _initActionSounds();
@@ -1524,20 +2134,11 @@ window.onload = function() {
         }
     });
 
-    // Initialize version control
-    versionControl = new VersionControl(50);
-
-    // Create initial version if no versions exist
-    if (versionControl.versions.size === 0 && words.length > 0) {
-        versionControl.createVersion(words, 'Initial version');
-    } else if (versionControl.versions.size === 0 && words.length === 0) {
-        versionControl.createVersion([], 'Initial empty state');
-    }
-    updateHistoryButtonLabel();
-
     _initActionSounds();
 
+    updateViewControls();
     renderWords();
+    renderBookPicker();
     resetAddAndBatchToolbarInputs();
     updateEditWeightSelection();
 
@@ -1550,15 +2151,16 @@ window.onload = function() {
     }
 
     // Initialize dropdown instances
-    posDropdown = new Dropdown('posSelector', 'posSelected', 'posDropdown');
     weightDropdown = new Dropdown('weightSelector', 'weightSelected', 'weightDropdown');
-    editPosDropdown = new Dropdown('editPosSelector', 'editPosSelected', 'editPosDropdown');
     editWeightDropdown = new Dropdown('editWeightSelector', 'editWeightSelected', 'editWeightDropdown');
 
     tagDropdownInstance = new Dropdown('tagSelector', 'tagSelected', 'tagDropdown');
     editTagDropdownInstance = new Dropdown('editTagSelector', 'editTagSelected', 'editTagDropdown');
+    bookDropdownInstance = new Dropdown('bookSelector', 'bookSelected', 'bookDropdown');
     batchTagFilterDropdownInstance = new Dropdown('batchTagFilterSelector', 'batchTagFilterSelected', 'batchTagFilterDropdown');
     batchTagActionDropdownInstance = new Dropdown('batchTagActionSelector', 'batchTagActionSelected', 'batchTagActionDropdown');
+    savedQueryDropdownInstance = new Dropdown('savedQuerySelector', 'savedQuerySelected', 'savedQueryDropdown');
+    quizTagDropdownInstance = new Dropdown('quizTagSelector', 'quizTagSelected', 'quizTagDropdown');
 
     // Refresh tag options when dropdown opens
     const tagSelectedEl = document.getElementById('tagSelected');
@@ -1577,15 +2179,20 @@ window.onload = function() {
     if (batchTagActionSelectedEl) {
         batchTagActionSelectedEl.addEventListener('click', () => renderTagSelector('batchAction'));
     }
+    const quizTagSelectedEl = document.getElementById('quizTagSelected');
+    if (quizTagSelectedEl) {
+        quizTagSelectedEl.addEventListener('click', () => renderTagSelector('quiz'));
+    }
 
-    Dropdown.register(posDropdown);
     Dropdown.register(weightDropdown);
-    Dropdown.register(editPosDropdown);
     Dropdown.register(editWeightDropdown);
     Dropdown.register(tagDropdownInstance);
     Dropdown.register(editTagDropdownInstance);
+    Dropdown.register(bookDropdownInstance);
     Dropdown.register(batchTagFilterDropdownInstance);
     Dropdown.register(batchTagActionDropdownInstance);
+    Dropdown.register(savedQueryDropdownInstance);
+    Dropdown.register(quizTagDropdownInstance);
 
     // Initialize batch toolbar
     updateBatchToolbar();
@@ -1678,6 +2285,7 @@ function withScrollAnchor(fn) {
 function toggleMode() {
     modeToggle.classList.toggle('active');
     hideMeaning = !hideMeaning;
+    persistViewState();
     withScrollAnchor(() => renderWords());
 }
 
@@ -1690,65 +2298,14 @@ modeToggle.addEventListener('keydown', function(e) {
     }
 });
 
-// POS selection for add form
-let selectedPos = [];
+// Weight selection for add and edit forms
 let selectedWeight = 3;
 let editSelectedWeight = 3;
 
 // Dropdown instances
-let posDropdown = null;
 let weightDropdown = null;
-let editPosDropdown = null;
 let editWeightDropdown = null;
 
-function togglePosDropdown() { if (posDropdown) posDropdown.toggle(); }
-
-function renderPosSelection(containerId, values) {
-    const container = document.getElementById(containerId);
-    container.innerHTML = values.length === 0
-        ? '<span class="pos-placeholder">POS</span>'
-        : values.map(p => `<span class="pos-tag">${p}</span>`).join('');
-}
-
-function syncPosOptionState(dropdownId, values) {
-    const selectedValues = new Set(values);
-    document.querySelectorAll(`#${dropdownId} .pos-option`).forEach(option => {
-        option.classList.toggle('selected', selectedValues.has(option.dataset.value));
-    });
-}
-
-function _togglePosFor(getArr, setArr, updateFn, option, event) {
-    if (event) event.stopPropagation();
-    const value = option.dataset.value;
-    if (!value) return;
-    const arr = getArr();
-    setArr(arr.includes(value) ? arr.filter(p => p !== value) : [...arr, value]);
-    updateFn();
-}
-
-function updatePosSelection() {
-    renderPosSelection('posSelected', selectedPos);
-    syncPosOptionState('posDropdown', selectedPos);
-}
-
-function togglePosOption(option, event) {
-    _togglePosFor(() => selectedPos, v => { selectedPos = v; }, updatePosSelection, option, event);
-}
-
-// POS selection for edit form
-let editSelectedPos = [];
-
-function toggleEditPosDropdown() { if (editPosDropdown) editPosDropdown.toggle(); }
-
-function updateEditPosSelection() {
-    renderPosSelection('editPosSelected', editSelectedPos);
-    syncPosOptionState('editPosDropdown', editSelectedPos);
-}
-
-function toggleEditPosOption(option, event) {
-    _togglePosFor(() => editSelectedPos, v => { editSelectedPos = v; }, updateEditPosSelection, option, event);
-}
-
 function syncWeightOptionState(dropdownId, value) {
     document.querySelectorAll(`#${dropdownId} .weight-option`).forEach(option => {
         option.classList.toggle('selected', parseInt(option.dataset.value, 10) === value);
@@ -1787,29 +2344,20 @@ function setEditWeightOption(option, event) {
 // Tag Registry
 // ========================================
 
-let tagRegistry = []; // Array of { id, name }
+let tagRegistry = []; // Array of { id, name, parentId?, rule?, color?, icon?, description?, order? }; entries with a rule are smart collections
 let tagDropdownInstance = null;
 let editTagDropdownInstance = null;
 let batchTagFilterDropdownInstance = null;
 let batchTagActionDropdownInstance = null;
-
-const TAG_REGISTRY_KEY = 'wordMemoryTagRegistry';
+let quizTagDropdownInstance = null;
 
 function generateTagId() {
     return 't_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
 }
 
 function saveTagRegistry() {
-    localStorage.setItem(TAG_REGISTRY_KEY, JSON.stringify(tagRegistry));
-}
-
-function loadTagRegistry() {
-    try {
-        const saved = localStorage.getItem(TAG_REGISTRY_KEY);
-        if (saved) tagRegistry = JSON.parse(saved);
-    } catch (e) {
-        tagRegistry = [];
-    }
+    _tagRegistryRevision++;
+    wordStore.saveTagRegistry(tagRegistry);
 }
 
 function getTagName(id) {
@@ -1823,12 +2371,88 @@ function getTagId(name) {
     return entry ? entry.id : null;
 }
 
+// ---- Tag Appearance ----
+// Optional color (#rrggbb), icon (a short emoji or symbol), description and a manual order
+// among siblings; tags without an order follow the ordered ones by name.
+
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const TAG_ICON_MAX_LENGTH = 4; // code points, enough for most emoji sequences
+
+function getTagColor(id) {
+    const entry = tagRegistry.find(t => t.id === id);
+    return entry && TAG_COLOR_PATTERN.test(entry.color || '') ? entry.color : '';
+}
+
+function getTagIcon(id) {
+    const entry = tagRegistry.find(t => t.id === id);
+    return entry && typeof entry.icon === 'string' ? entry.icon : '';
+}
+
+// Icon and name as plain text, for group headers and selectors
+function getTagLabel(id) {
+    const icon = getTagIcon(id);
+    return icon ? `${icon} ${getTagName(id)}` : getTagName(id);
+}
+
+// style and title attributes for an element showing the tag (badges, filter chips)
+function getTagAttrs(id, title) {
+    const entry = tagRegistry.find(t => t.id === id);
+    const color = getTagColor(id);
+    const tooltip = [title, entry && entry.description].filter(Boolean).join('\n');
+    return (color ? ` style="--tag-color: ${color}"` : '')
+        + (tooltip ? ` title="${escapeHtml(tooltip).replace(/"/g, '&quot;')}"` : '');
+}
+
+function _compareTagOrder(a, b) {
+    const orderA = Number.isFinite(a.order) ? a.order : Infinity;
+    const orderB = Number.isFinite(b.order) ? b.order : Infinity;
+    return orderA === orderB ? a.name.localeCompare(b.name) : orderA - orderB;
+}
+
+// fields: any of { color, icon, description }; empty values clear the field
+function updateTagAppearance(id, fields) {
+    const entry = tagRegistry.find(t => t.id === id);
+    if (!entry) return false;
+    if ('color' in fields) {
+        const color = String(fields.color || '').trim().toLowerCase();
+        if (TAG_COLOR_PATTERN.test(color)) entry.color = color;
+        else delete entry.color;
+    }
+    if ('icon' in fields) {
+        const icon = Array.from(String(fields.icon || '').trim().split(/\s+/)[0]).slice(0, TAG_ICON_MAX_LENGTH).join('');
+        if (icon) entry.icon = icon;
+        else delete entry.icon;
+    }
+    if ('description' in fields) {
+        const description = String(fields.description || '').trim();
+        if (description) entry.description = description;
+        else delete entry.description;
+    }
+    saveTagRegistry();
+    return true;
+}
+
+// Move a tag one place up (-1) or down (1) among its siblings, which then all get an explicit order
+function moveTagInOrder(id, delta) {
+    const siblings = (_getTagChildrenMap().get(getTagParentId(id) || '') || []).slice();
+    const index = siblings.indexOf(id);
+    const target = index + delta;
+    if (index < 0 || target < 0 || target >= siblings.length) return false;
+    [siblings[index], siblings[target]] = [siblings[target], siblings[index]];
+    siblings.forEach((siblingId, i) => {
+        const entry = tagRegistry.find(t => t.id === siblingId);
+        if (entry) entry.order = i;
+    });
+    saveTagRegistry();
+    return true;
+}
+
 function createTag(name) {
     const trimmed = name.trim();
     if (!trimmed) return null;
-    // Check if already exists (case-insensitive)
+    // Check if already exists (case-insensitive); smart collections can't be assigned by hand
     const existing = getTagId(trimmed);
-    if (existing) return existing;
+    if (existing) return isSmartCollection(existing) ? null : existing;
     const id = generateTagId();
     tagRegistry.push({ id, name: trimmed });
     saveTagRegistry();
@@ -1840,12 +2464,21 @@ function renameTag(id, newName) {
     if (!trimmed) return false;
     const entry = tagRegistry.find(t => t.id === id);
     if (!entry) return false;
+    const oldName = entry.name;
     entry.name = trimmed;
+    renameTagInSmartRules(oldName, trimmed);
     saveTagRegistry();
     return true;
 }
 
 function deleteTag(id) {
+    // Children move up to the deleted tag's parent
+    const parentId = getTagParentId(id);
+    tagRegistry.forEach(t => {
+        if (t.parentId !== id) return;
+        if (parentId) t.parentId = parentId;
+        else delete t.parentId;
+    });
     tagRegistry = tagRegistry.filter(t => t.id !== id);
     // Remove from all words
     words.forEach(w => {
@@ -1854,10 +2487,282 @@ function deleteTag(id) {
     // Remove from active/excluded filters
     activeTagFilters.delete(id);
     excludedTagFilters.delete(id);
+    persistTagFilterState();
     saveTagRegistry();
     saveData(false, `Delete tag`);
 }
 
+// ---- Tag Hierarchy ----
+// parentId nests a tag under another (Exam > IELTS > Reading); a parent stands for itself
+// and all of its descendants when filtering and selecting.
+
+let _tagTreeCache = { registry: null, revision: -1, children: new Map() };
+
+// parent id ('' for top level) -> child ids in display order; dangling parents count as top level
+function _getTagChildrenMap() {
+    const cache = _tagTreeCache;
+    if (cache.registry !== tagRegistry || cache.revision !== _tagRegistryRevision) {
+        const known = new Set(tagRegistry.map(t => t.id));
+        const children = new Map();
+        tagRegistry
+            .slice()
+            .sort(_compareTagOrder)
+            .forEach(t => {
+                const parentId = t.parentId && known.has(t.parentId) && t.parentId !== t.id ? t.parentId : '';
+                if (!children.has(parentId)) children.set(parentId, []);
+                children.get(parentId).push(t.id);
+            });
+        cache.registry = tagRegistry;
+        cache.revision = _tagRegistryRevision;
+        cache.children = children;
+    }
+    return cache.children;
+}
+
+function getTagParentId(id) {
+    const entry = tagRegistry.find(t => t.id === id);
+    return entry && entry.parentId && tagRegistry.some(t => t.id === entry.parentId) ? entry.parentId : null;
+}
+
+// The tag followed by every tag nested below it
+function getTagDescendantIds(id) {
+    const children = _getTagChildrenMap();
+    const result = [];
+    const seen = new Set();
+    const stack = [id];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (seen.has(current)) continue;
+        seen.add(current);
+        result.push(current);
+        stack.push(...(children.get(current) || []));
+    }
+    return result;
+}
+
+function getTagPath(id) {
+    const names = [];
+    const seen = new Set();
+    for (let current = id; current && !seen.has(current); current = getTagParentId(current)) {
+        seen.add(current);
+        names.unshift(getTagName(current));
+    }
+    return names.join(' > ');
+}
+
+// Depth-first [{ tag, depth, parentId }], siblings in display order
+function getTagTree() {
+    const children = _getTagChildrenMap();
+    const byId = new Map(tagRegistry.map(t => [t.id, t]));
+    const tree = [];
+    const seen = new Set();
+    const visit = (parentId, depth) => {
+        (children.get(parentId) || []).forEach(id => {
+            if (seen.has(id)) return;
+            seen.add(id);
+            tree.push({ tag: byId.get(id), depth, parentId: parentId || null });
+            visit(id, depth + 1);
+        });
+    };
+    visit('', 0);
+    // Tags caught in a parent cycle never hang off the top level; list them there anyway
+    tagRegistry.forEach(t => {
+        if (seen.has(t.id)) return;
+        seen.add(t.id);
+        tree.push({ tag: t, depth: 0, parentId: null });
+        visit(t.id, 1);
+    });
+    return tree;
+}
+
+// Move a tag under parentId (null for top level); refuses to nest a tag inside itself
+function setTagParent(id, parentId) {
+    const entry = tagRegistry.find(t => t.id === id);
+    if (!entry) return false;
+    if (parentId && getTagDescendantIds(id).includes(parentId)) return false;
+    if (parentId) entry.parentId = parentId;
+    else delete entry.parentId;
+    // Its old position means nothing among the new siblings
+    delete entry.order;
+    saveTagRegistry();
+    return true;
+}
+
+// ---- Tag Merge & Split ----
+// Both only touch tags stored on words, so smart collections take no part.
+
+// Words carrying the tag itself, not just one nested below it
+function getWordsWithOwnTag(id) {
+    return words.filter(w => (w.tags || []).includes(id));
+}
+
+// Re-point sourceId to targetId on every word and drop the source entry, as one version.
+// Tags nested under the source move under the target. Returns the number of words changed, or null.
+function mergeTags(sourceId, targetId) {
+    const source = tagRegistry.find(t => t.id === sourceId);
+    const target = tagRegistry.find(t => t.id === targetId);
+    if (!source || !target || sourceId === targetId) return null;
+    if (isSmartCollection(source) || isSmartCollection(target)) return null;
+
+    let count = 0;
+    words.forEach(w => {
+        if (!w.tags || !w.tags.includes(sourceId)) return;
+        w.tags = Array.from(new Set(w.tags.map(id => id === sourceId ? targetId : id)));
+        count++;
+    });
+
+    // Merging into one of its own nested tags: lift the target to the source's place first
+    if (getTagDescendantIds(sourceId).includes(targetId)) {
+        if (source.parentId) target.parentId = source.parentId;
+        else delete target.parentId;
+    }
+    tagRegistry.forEach(t => {
+        if (t.parentId === sourceId) t.parentId = targetId;
+    });
+    tagRegistry = tagRegistry.filter(t => t.id !== sourceId);
+    renameTagInSmartRules(source.name, target.name);
+
+    if (activeTagFilters.has(sourceId)) {
+        const group = activeTagFilters.get(sourceId);
+        activeTagFilters.delete(sourceId);
+        if (!activeTagFilters.has(targetId)) activeTagFilters.set(targetId, group);
+    }
+    if (excludedTagFilters.delete(sourceId)) excludedTagFilters.add(targetId);
+    persistTagFilterState();
+    Object.keys(tagSelectorState).forEach(key => {
+        const state = tagSelectorState[key];
+        if (Array.isArray(state)) tagSelectorState[key] = Array.from(new Set(state.map(id => id === sourceId ? targetId : id)));
+        else if (state === sourceId) tagSelectorState[key] = targetId;
+    });
+
+    saveTagRegistry();
+    saveData(false, `Merge tag "${source.name}" into "${target.name}"`);
+    return count;
+}
+
+// Words of the tag matching query (search syntax): { words, errors }
+function getTagSplitMatches(tagId, query) {
+    const compiled = compileWordQuery(query);
+    if (compiled.errors.length > 0) return { words: [], errors: compiled.errors };
+    return { words: getWordsWithOwnTag(tagId).filter(compiled.predicate), errors: [] };
+}
+
+// Move the words of tagId matching query to the tag named newName, created beside tagId if new.
+// Returns { tagId, count } or null when the split can't be made.
+function splitTag(tagId, query, newName) {
+    const source = tagRegistry.find(t => t.id === tagId);
+    if (!source || isSmartCollection(source)) return null;
+    const { words: matches, errors } = getTagSplitMatches(tagId, query);
+    if (errors.length > 0) return null;
+
+    const isNew = !getTagId(newName);
+    const newId = createTag(newName);
+    if (!newId || newId === tagId) return null;
+    if (isNew && source.parentId) setTagParent(newId, source.parentId);
+
+    matches.forEach(w => {
+        w.tags = Array.from(new Set(w.tags.map(id => id === tagId ? newId : id)));
+    });
+    saveData(false, `Split ${matches.length} word(s) from tag "${source.name}" into "${getTagName(newId)}"`);
+    return { tagId: newId, count: matches.length };
+}
+
+// ========================================
+// Smart Collections
+// ========================================
+
+// A registry entry with a rule (search query syntax, see Word Search) is a smart collection:
+// words belong to it while they match the rule, so membership follows edits, reviews and
+// new words without being stored on the words themselves.
+
+let _tagRegistryRevision = 0;
+let _smartMatcherCache = { registry: null, revision: -1, matchers: new Map() };
+const _smartEvaluating = new Set(); // rules currently being evaluated, so rules citing each other stop
+
+function isSmartCollection(tagOrId) {
+    const tag = typeof tagOrId === 'string' ? tagRegistry.find(t => t.id === tagOrId) : tagOrId;
+    return Boolean(tag && typeof tag.rule === 'string');
+}
+
+// tag id -> predicate for every smart collection, compiled lazily and dropped when the registry changes
+function _getSmartMatchers() {
+    const cache = _smartMatcherCache;
+    if (cache.registry !== tagRegistry || cache.revision !== _tagRegistryRevision) {
+        cache.registry = tagRegistry;
+        cache.revision = _tagRegistryRevision;
+        cache.matchers = new Map(tagRegistry.filter(isSmartCollection).map(t => [t.id, null]));
+    }
+    return cache.matchers;
+}
+
+function _getSmartMatcher(tagId) {
+    const matchers = _getSmartMatchers();
+    if (!matchers.has(tagId)) return null;
+    if (!matchers.get(tagId)) {
+        // A rule with a broken clause (say a deleted tag) matches nothing rather than more
+        const compiled = compileWordQuery(tagRegistry.find(t => t.id === tagId).rule);
+        matchers.set(tagId, compiled.errors.length > 0 ? () => false : compiled.predicate);
+    }
+    return matchers.get(tagId);
+}
+
+// Manual tag or smart collection membership of the tag itself, ignoring nested tags
+function _wordHasOwnTag(w, tagId) {
+    if ((w.tags || []).includes(tagId)) return true;
+    const matcher = _getSmartMatcher(tagId);
+    if (!matcher || _smartEvaluating.has(tagId)) return false;
+    _smartEvaluating.add(tagId);
+    try {
+        return matcher(w);
+    } finally {
+        _smartEvaluating.delete(tagId);
+    }
+}
+
+// Membership of the tag or any tag nested below it
+function wordHasTag(w, tagId) {
+    return getTagDescendantIds(tagId).some(id => _wordHasOwnTag(w, id));
+}
+
+// Manual tags followed by the smart collections the word currently falls into
+function getWordTagIds(w) {
+    const smartIds = Array.from(_getSmartMatchers().keys()).filter(id => _wordHasOwnTag(w, id));
+    return [...(w.tags || []), ...smartIds];
+}
+
+function createSmartCollection(name, rule) {
+    const trimmed = name.trim();
+    if (!trimmed || getTagId(trimmed)) return null;
+    const id = generateTagId();
+    tagRegistry.push({ id, name: trimmed, rule: rule.trim() });
+    saveTagRegistry();
+    return id;
+}
+
+function updateSmartCollectionRule(id, rule) {
+    const entry = tagRegistry.find(t => t.id === id);
+    if (!isSmartCollection(entry)) return false;
+    entry.rule = rule.trim();
+    saveTagRegistry();
+    return true;
+}
+
+// Rules cite tags by name, so point tag: clauses naming oldName at newName
+function renameTagInSmartRules(oldName, newName) {
+    const old = oldName.toLowerCase();
+    const value = /[\s"]/.test(newName) ? `"${newName.replace(/"/g, '')}"` : newName;
+    tagRegistry.filter(isSmartCollection).forEach(t => {
+        let changed = false;
+        const tokens = tokenizeWordQuery(t.rule).map(token => {
+            const clause = /^(-?tag(?:>=|<=|:|=|>|<))(.+)$/i.exec(token);
+            if (!clause || _unquoteQueryValue(clause[2]).toLowerCase() !== old) return token;
+            changed = true;
+            return clause[1] + value;
+        });
+        if (changed) t.rule = tokens.join(' ');
+    });
+}
+
 // Migrate old string-based tags to registry IDs
 function migrateStringTagsToRegistry() {
     let migrated = false;
@@ -1885,11 +2790,13 @@ function migrateStringTagsToRegistry() {
 // Unified Tag Selector
 // ========================================
 
+// assign: the selector puts tags on words, so smart collections are left out
 const TAG_SELECTORS = {
-    add:         { selectedId: 'tagSelected', listId: 'tagOptionsList', inputId: 'tagNewInput', multi: true, placeholder: 'Tags' },
-    edit:        { selectedId: 'editTagSelected', listId: 'editTagOptionsList', inputId: 'editTagNewInput', multi: true, placeholder: 'Tags' },
+    add:         { selectedId: 'tagSelected', listId: 'tagOptionsList', inputId: 'tagNewInput', multi: true, assign: true, placeholder: 'Tags' },
+    edit:        { selectedId: 'editTagSelected', listId: 'editTagOptionsList', inputId: 'editTagNewInput', multi: true, assign: true, placeholder: 'Tags' },
     batchFilter: { selectedId: 'batchTagFilterSelected', listId: 'batchTagFilterOptionsList', inputId: null, multi: false, placeholder: 'Tag' },
-    batchAction: { selectedId: 'batchTagActionSelected', listId: 'batchTagActionOptionsList', inputId: 'batchTagActionNewInput', multi: true, placeholder: 'Tag' },
+    batchAction: { selectedId: 'batchTagActionSelected', listId: 'batchTagActionOptionsList', inputId: 'batchTagActionNewInput', multi: true, assign: true, placeholder: 'Tag' },
+    quiz:        { selectedId: 'quizTagSelected', listId: 'quizTagOptionsList', inputId: null, multi: false, placeholder: 'All Tags' },
 };
 
 let tagSelectorState = {
@@ -1897,10 +2804,11 @@ let tagSelectorState = {
     edit: [],        // tag ID array
     batchFilter: '', // single tag ID
     batchAction: [], // tag ID array
+    quiz: '',        // single tag ID, '' for every word
 };
 
 function getTagDropdownInstance(key) {
-    return { add: tagDropdownInstance, edit: editTagDropdownInstance, batchFilter: batchTagFilterDropdownInstance, batchAction: batchTagActionDropdownInstance }[key];
+    return { add: tagDropdownInstance, edit: editTagDropdownInstance, batchFilter: batchTagFilterDropdownInstance, batchAction: batchTagActionDropdownInstance, quiz: quizTagDropdownInstance }[key];
 }
 
 function renderTagSelector(key) {
@@ -1916,12 +2824,12 @@ function renderTagSelector(key) {
             if (ids.length === 0) {
                 selectedEl.innerHTML = `<span class="tag-placeholder">${cfg.placeholder}</span>`;
             } else {
-                selectedEl.innerHTML = ids.map(id => `<span class="tag-sel-tag">${getTagName(id)}</span>`).join('');
+                selectedEl.innerHTML = ids.map(id => `<span class="tag-sel-tag">${escapeHtml(getTagLabel(id))}</span>`).join('');
             }
         } else {
             const id = state;
             if (id) {
-                selectedEl.innerHTML = `<span class="tag-sel-tag">${getTagName(id)}</span>`;
+                selectedEl.innerHTML = `<span class="tag-sel-tag">${escapeHtml(getTagLabel(id))}</span>`;
             } else {
                 selectedEl.innerHTML = `<span class="tag-placeholder">${cfg.placeholder}</span>`;
             }
@@ -1940,9 +2848,12 @@ function renderTagSelector(key) {
             clearOptionHtml = `<label class="dropdown-option tag-option ${clearSelected}" data-value="">${cfg.placeholder}</label>`;
         }
 
-        listEl.innerHTML = clearOptionHtml + tagRegistry.map(tag => {
+        const options = getTagTree().filter(({ tag }) => !cfg.assign || !isSmartCollection(tag));
+        listEl.innerHTML = clearOptionHtml + options.map(({ tag, depth }) => {
             const isSelected = selectedSet.has(tag.id) ? 'selected' : '';
-            return `<label class="dropdown-option tag-option ${isSelected}" data-value="${tag.id}">${tag.name}</label>`;
+            const smartClass = isSmartCollection(tag) ? ' smart' : '';
+            const indent = depth > 0 ? ` style="--tag-depth: ${depth}"` : '';
+            return `<label class="dropdown-option tag-option${smartClass} ${isSelected}"${indent} data-value="${tag.id}">${escapeHtml(getTagLabel(tag.id))}</label>`;
         }).join('');
 
         // Bind click handlers
@@ -1976,6 +2887,7 @@ function setTagInSelector(key, tagId) {
     renderTagSelector(key);
     const dropdown = getTagDropdownInstance(key);
     if (dropdown) dropdown.close();
+    if (key === 'quiz') _updateQuizSetupInfo();
 }
 
 function addNewTagToSelector(key, event) {
@@ -1989,7 +2901,10 @@ function addNewTagToSelector(key, event) {
     const names = raw.split(/[,，]/).map(t => t.trim()).filter(t => t.length > 0);
     names.forEach(name => {
         const id = createTag(name);
-        if (!id) return;
+        if (!id) {
+            if (isSmartCollection(getTagId(name))) showStatus(`"${name}" is a smart collection and can't be assigned`, 'error');
+            return;
+        }
         if (cfg.multi) {
             if (!tagSelectorState[key].includes(id)) tagSelectorState[key].push(id);
         } else {
@@ -2030,6 +2945,11 @@ document.addEventListener('DOMContentLoaded', () => {
 // Tag Filter Bar (filter displayed words)
 // ========================================
 
+// Selected tags form groups. A group matches when any of its tags does, or all of them once
+// its mode is switched to "All of"; every group must match (AND), and excluded tags hide a
+// word (NOT). "And" starts a new group, so (IELTS or TOEFL) and verbs, not mastered takes:
+// IELTS, TOEFL, And, verbs, mastered twice.
+
 function renderTagFilterBar() {
     const bar = document.getElementById('tagFilterBar');
     if (!bar) return;
@@ -2037,12 +2957,55 @@ function renderTagFilterBar() {
         bar.innerHTML = '';
         return;
     }
-    bar.innerHTML = tagRegistry.map(tag => {
+    const groups = getTagFilterGroups();
+    const hasFilters = activeTagFilters.size + excludedTagFilters.size > 0;
+    const canStartGroup = groups.some(g => g.group === tagFilterGroup);
+    const mode = getTagFilterMode(tagFilterGroup);
+    const modeTitle = mode === 'all' ? 'Group matches words with every one of its tags' : 'Group matches words with any of its tags';
+    const controls = (hasFilters ? `<span class="tag-filter-summary">${escapeHtml(describeTagFilters())}</span>` : '')
+        + `<span class="tag-filter-mode" title="${modeTitle}" onclick="toggleTagFilterMode()">${mode === 'all' ? 'All of' : 'Any of'}</span>`
+        + (canStartGroup
+            ? '<span class="tag-filter-mode" title="Start a new group: words must also match the next tags" onclick="startTagFilterGroup()">And</span>'
+            : '')
+        + (hasFilters ? '<span class="tag-filter-mode" title="Clear tag filters" onclick="clearTagFilters()">Clear</span>' : '');
+    // Nested tags follow their parent; the title shows the full path
+    bar.innerHTML = controls + getTagTree().map(({ tag, depth }) => {
         const state = activeTagFilters.has(tag.id) ? 'active' : excludedTagFilters.has(tag.id) ? 'excluded' : '';
-        return `<span class="tag-filter-chip ${state}" onclick="toggleTagFilter('${tag.id}')">${tag.name}</span>`;
+        const classes = (isSmartCollection(tag) ? ' smart' : '') + (depth > 0 ? ' nested' : '') + (getTagColor(tag.id) ? ' colored' : '');
+        const titleText = isSmartCollection(tag) ? `${getTagPath(tag.id)}: ${tag.rule}` : depth > 0 ? getTagPath(tag.id) : '';
+        // With several groups each selected chip shows which one it belongs to
+        const groupIndex = groups.findIndex(g => g.tags.includes(tag.id));
+        const groupMark = state === 'active' && groups.length > 1 ? `<sup class="tag-filter-group">${groupIndex + 1}</sup>` : '';
+        return `<span class="tag-filter-chip${classes} ${state}"${getTagAttrs(tag.id, titleText)} onclick="toggleTagFilter('${tag.id}')">${escapeHtml(getTagLabel(tag.id))}${groupMark}</span>`;
     }).join('');
 }
 
+function getTagFilterMode(group) {
+    return tagFilterModes.get(group) === 'all' ? 'all' : 'any';
+}
+
+// Selected groups in order as [{ group, mode, tags }]; empty groups are left out
+function getTagFilterGroups() {
+    const byGroup = new Map();
+    activeTagFilters.forEach((group, id) => {
+        if (!byGroup.has(group)) byGroup.set(group, []);
+        byGroup.get(group).push(id);
+    });
+    return Array.from(byGroup.keys()).sort((a, b) => a - b)
+        .map(group => ({ group, mode: getTagFilterMode(group), tags: byGroup.get(group) }));
+}
+
+// e.g. (IELTS or TOEFL) and verbs, not mastered
+function describeTagFilters() {
+    const groups = getTagFilterGroups();
+    const included = groups.map(({ mode, tags }) => {
+        const names = tags.map(getTagName).join(mode === 'all' ? ' and ' : ' or ');
+        return tags.length > 1 && groups.length > 1 ? `(${names})` : names;
+    }).join(' and ');
+    const excluded = Array.from(excludedTagFilters).map(getTagName).join(', ');
+    return [included, excluded && `not ${excluded}`].filter(Boolean).join(', ');
+}
+
 function toggleTagFilter(tag) {
     if (activeTagFilters.has(tag)) {
         activeTagFilters.delete(tag);
@@ -2050,27 +3013,102 @@ function toggleTagFilter(tag) {
     } else if (excludedTagFilters.has(tag)) {
         excludedTagFilters.delete(tag);
     } else {
-        activeTagFilters.add(tag);
+        activeTagFilters.set(tag, tagFilterGroup);
     }
+    persistTagFilterState();
     renderTagFilterBar();
     renderWords();
 }
 
+// Switch the group being built between any and all of its tags
+function toggleTagFilterMode() {
+    if (getTagFilterMode(tagFilterGroup) === 'all') tagFilterModes.delete(tagFilterGroup);
+    else tagFilterModes.set(tagFilterGroup, 'all');
+    persistTagFilterState();
+    renderTagFilterBar();
+    renderWords();
+}
+
+function startTagFilterGroup() {
+    tagFilterGroup = Math.max(-1, ...activeTagFilters.values()) + 1;
+    tagFilterModes.delete(tagFilterGroup);
+    renderTagFilterBar();
+}
+
+function clearTagFilters() {
+    activeTagFilters.clear();
+    excludedTagFilters.clear();
+    tagFilterModes.clear();
+    tagFilterGroup = 0;
+    persistTagFilterState();
+    renderTagFilterBar();
+    renderWords();
+}
+
+// Every group must match per its mode; a word with any excluded tag is hidden
+function matchesTagFilters(w) {
+    const groups = getTagFilterGroups();
+    const matched = groups.every(({ mode, tags }) => mode === 'all'
+        ? tags.every(t => wordHasTag(w, t))
+        : tags.some(t => wordHasTag(w, t)));
+    if (!matched) return false;
+    return !Array.from(excludedTagFilters).some(t => wordHasTag(w, t));
+}
+
+// ---- Filter state (per book) ----
+
+const TAG_FILTER_STATE_KEY = 'wordMemoryTagFilters';
+
+function loadTagFilterState() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(getBookStorageKey(TAG_FILTER_STATE_KEY)));
+    } catch (e) {
+    }
+    // Tags may have been deleted or replaced by an import since the state was saved
+    const known = new Set(tagRegistry.map(t => t.id));
+    const valid = list => (Array.isArray(list) ? list : []).filter(id => known.has(id));
+    activeTagFilters = new Map();
+    tagFilterModes = new Map();
+    let groups = saved && Array.isArray(saved.groups) ? saved.groups : [];
+    // Older saves kept one list plus an any/all mode
+    if (saved && !saved.groups && Array.isArray(saved.active)) {
+        groups = [{ mode: saved.mode, tags: saved.active }];
+    }
+    groups.forEach((group, i) => {
+        if (!group) return;
+        valid(group.tags).forEach(id => activeTagFilters.set(id, i));
+        if (group.mode === 'all') tagFilterModes.set(i, 'all');
+    });
+    excludedTagFilters = new Set(valid(saved && saved.excluded));
+    tagFilterGroup = Math.max(0, ...activeTagFilters.values());
+}
+
+function persistTagFilterState() {
+    try {
+        localStorage.setItem(getBookStorageKey(TAG_FILTER_STATE_KEY), JSON.stringify({
+            groups: getTagFilterGroups().map(({ mode, tags }) => ({ mode, tags })),
+            excluded: Array.from(excludedTagFilters)
+        }));
+    } catch (error) {
+    }
+}
+
 function enforceGroupModeByTagAvailability() {
     if (tagRegistry.length === 0) {
         wordGroupMode = 'weight';
     }
 
     const btn = document.getElementById('groupModeBtn');
-    if (btn) {
-        btn.textContent = wordGroupMode === 'tag' ? 'Tag Grouping' : 'Weight Grouping';
-    }
+    if (btn) btn.textContent = GROUP_MODE_LABELS[wordGroupMode];
 }
 
 // ========================================
 // Group Mode Toggle
 // ========================================
 
+const GROUP_MODE_LABELS = { weight: 'By Weight', tag: 'By Tag' };
+
 function toggleGroupMode() {
     if (tagRegistry.length === 0) {
         wordGroupMode = 'weight';
@@ -2079,15 +3117,83 @@ function toggleGroupMode() {
         return;
     }
 
-    const modes = ['weight', 'tag'];
-    const labels = ['By Weight', 'By Tag'];
+    const modes = Object.keys(GROUP_MODE_LABELS);
     const idx = modes.indexOf(wordGroupMode);
     wordGroupMode = modes[(idx + 1) % modes.length];
-    const btn = document.getElementById('groupModeBtn');
-    if (btn) btn.textContent = labels[modes.indexOf(wordGroupMode)];
+    enforceGroupModeByTagAvailability();
+    persistViewState();
     renderWords();
 }
 
+// ========================================
+// View State (per book)
+// ========================================
+
+// Sort, grouping, hidden meanings and collapsed groups survive reloads; tag filters
+// keep their own key (see Tag Filter Bar) but are reset together with the rest.
+
+const VIEW_STATE_KEY = 'wordMemoryViewState';
+
+function loadViewState() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(getBookStorageKey(VIEW_STATE_KEY)));
+    } catch (e) {
+    }
+    saved = saved && typeof saved === 'object' ? saved : {};
+    wordSortMode = Object.prototype.hasOwnProperty.call(SORT_MODE_LABELS, saved.sortMode) ? saved.sortMode : 'alpha';
+    wordGroupMode = Object.prototype.hasOwnProperty.call(GROUP_MODE_LABELS, saved.groupMode) ? saved.groupMode : 'weight';
+    hideMeaning = saved.hideMeaning === true;
+    _groupCollapseState.clear();
+    (Array.isArray(saved.collapsedGroups) ? saved.collapsedGroups : []).forEach(entry => {
+        if (Array.isArray(entry) && typeof entry[0] === 'string') _groupCollapseState.set(entry[0], entry[1] === true);
+    });
+}
+
+function persistViewState() {
+    try {
+        localStorage.setItem(getBookStorageKey(VIEW_STATE_KEY), JSON.stringify({
+            sortMode: wordSortMode,
+            groupMode: wordGroupMode,
+            hideMeaning,
+            collapsedGroups: Array.from(_groupCollapseState)
+        }));
+    } catch (error) {
+    }
+}
+
+// Bring the sort/group buttons and the meaning toggle in line with the current state
+function updateViewControls() {
+    const sortBtn = document.getElementById('sortModeBtn');
+    if (sortBtn) sortBtn.textContent = SORT_MODE_LABELS[wordSortMode];
+    modeToggle.classList.toggle('active', hideMeaning);
+    enforceGroupModeByTagAvailability();
+}
+
+async function resetView() {
+    const shouldReset = await showInPageConfirm({
+        title: 'Reset View',
+        message: 'Reset sorting, grouping, tag filters, hidden meanings and collapsed groups to their defaults?',
+        confirmText: 'Reset',
+        cancelText: 'Cancel'
+    });
+    if (!shouldReset) return;
+
+    wordSortMode = 'alpha';
+    wordGroupMode = 'weight';
+    hideMeaning = false;
+    _groupCollapseState.clear();
+    activeTagFilters.clear();
+    excludedTagFilters.clear();
+    tagFilterModes.clear();
+    tagFilterGroup = 0;
+    persistViewState();
+    persistTagFilterState();
+    updateViewControls();
+    renderWords();
+    showStatus('View reset', 'success');
+}
+
 // Close dropdowns when clicking outside
 document.addEventListener('click', function(e) {
     // Check if any dropdown is open
@@ -2106,10 +3212,651 @@ document.addEventListener('click', function(e) {
     }
 }, true); // Use capture phase to handle this before other handlers
 
+// ========================================
+// Word IDs
+// ========================================
+
+// Every word carries a persistent id ("w_…") so selection, editing, version deltas
+// and quiz results survive sorting, deletes and reloads
+const WORD_ID_PATTERN = /^w_[a-z0-9]+$/;
+
+function generateWordId() {
+    return `w_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Id derived from the word itself (FNV-1a of its key), so words saved before ids existed get
+// the same id every time they are loaded, checked out or reverted
+function _wordKeyId(w) {
+    const key = normalizeWordKey(w.word);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `w_${hash.toString(36)}`;
+}
+
+// Assign ids to words that lack a valid one or share one with an earlier word, in place; returns how many changed
+function ensureWordIds(list) {
+    const seen = new Set();
+    const missing = [];
+    list.forEach(w => {
+        if (typeof w.id === 'string' && WORD_ID_PATTERN.test(w.id) && !seen.has(w.id)) {
+            seen.add(w.id);
+        } else {
+            missing.push(w);
+        }
+    });
+    missing.forEach(w => {
+        const base = _wordKeyId(w);
+        let id = base;
+        for (let n = 2; seen.has(id); n++) id = `${base}n${n}`;
+        w.id = id;
+        seen.add(id);
+    });
+    return missing.length;
+}
+
+// id -> index into words, rebuilt whenever a lookup finds it stale
+let _wordIndexById = new Map();
+
+function getWordIndexById(id) {
+    const cached = _wordIndexById.get(id);
+    if (cached !== undefined && words[cached] && words[cached].id === id) return cached;
+    _wordIndexById = new Map(words.map((w, i) => [w.id, i]));
+    return _wordIndexById.has(id) ? _wordIndexById.get(id) : -1;
+}
+
+function getWordById(id) {
+    const index = getWordIndexById(id);
+    return index >= 0 ? words[index] : null;
+}
+
+// ========================================
+// Rich Word Fields
+// ========================================
+
+// senses ([{ pos, meaning, examples }]) are the source of truth for meanings;
+// word.meaning and word.pos are kept as a derived summary for lists, search and exports.
+// Optional extras: phonetic, synonyms, antonyms, notes
+const POS_OPTIONS = ['n', 'v', 'adj', 'adv', 'prep', 'conj', 'pron'];
+
+// Add form ids are bare ("phoneticInput"), edit modal ids are prefixed ("editPhoneticInput")
+function _richFieldId(mode, name) {
+    return mode === 'edit' ? `edit${name.charAt(0).toUpperCase()}${name.slice(1)}` : name;
+}
+
+// Accepts an array or a comma/semicolon separated string
+function normalizeWordList(value) {
+    const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(/[,;，；]/) : []);
+    const seen = new Set();
+    return list
+        .map(v => (typeof v === 'string' ? v.trim() : ''))
+        .filter(v => v && !seen.has(v.toLowerCase()) && seen.add(v.toLowerCase()));
+}
+
+function normalizeSenses(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .filter(s => s && typeof s === 'object')
+        .map(s => ({
+            pos: typeof s.pos === 'string' ? s.pos.trim() : '',
+            meaning: typeof s.meaning === 'string' ? s.meaning.trim() : '',
+            examples: (Array.isArray(s.examples) ? s.examples : [])
+                .filter(e => typeof e === 'string' && e.trim())
+                .map(e => e.trim())
+        }))
+        .filter(s => s.pos || s.meaning || s.examples.length > 0);
+}
+
+// Legacy meaning/pos to senses: "a; b" pairs up with two POS, otherwise the whole
+// meaning goes to the first POS and any further POS get an empty sense
+function migrateMeaningToSenses(meaning, pos) {
+    const posList = Array.isArray(pos) ? pos.filter(Boolean) : (pos ? [pos] : []);
+    const text = typeof meaning === 'string' ? meaning.trim() : '';
+    if (!text && posList.length === 0) return [];
+
+    const parts = text.split(/[;；]/).map(part => part.trim()).filter(Boolean);
+    if (posList.length > 1 && parts.length === posList.length) {
+        return parts.map((part, i) => ({ pos: posList[i], meaning: part, examples: [] }));
+    }
+    return [
+        { pos: posList[0] || '', meaning: text, examples: [] },
+        ...posList.slice(1).map(p => ({ pos: p, meaning: '', examples: [] }))
+    ];
+}
+
+// The word itself if it has senses, otherwise a copy with senses derived from meaning/pos
+function withWordSenses(w) {
+    if (!w || (Array.isArray(w.senses) && w.senses.length > 0)) return w;
+    return { ...w, senses: migrateMeaningToSenses(w.meaning, w.pos) };
+}
+
+function syncSenseSummary(w) {
+    const senses = Array.isArray(w.senses) ? w.senses : [];
+    w.meaning = senses.map(s => s.meaning).filter(Boolean).join('; ');
+    w.pos = Array.from(new Set(senses.map(s => s.pos).filter(Boolean)));
+    return w;
+}
+
+// Copy of a word (possibly from an old version) with senses and a matching summary
+function toCanonicalWord(w) {
+    return syncSenseSummary(withWordSenses({ ...w }));
+}
+
+// Give every word in list senses and a matching summary, in place; returns how many changed
+function ensureWordSenses(list) {
+    let changed = 0;
+    list.forEach(w => {
+        const before = JSON.stringify([w.senses, w.meaning, w.pos]);
+        if (!Array.isArray(w.senses) || w.senses.length === 0) {
+            w.senses = migrateMeaningToSenses(w.meaning, w.pos);
+        }
+        syncSenseSummary(w);
+        if (JSON.stringify([w.senses, w.meaning, w.pos]) !== before) changed++;
+    });
+    return changed;
+}
+
+// Only the rich fields that carry a value, so plain words stay plain
+function normalizeRichFields(item) {
+    const fields = {};
+    if (typeof item.phonetic === 'string' && item.phonetic.trim()) fields.phonetic = item.phonetic.trim();
+    const senses = normalizeSenses(item.senses);
+    if (senses.length > 0) fields.senses = senses;
+    ['synonyms', 'antonyms'].forEach(key => {
+        const list = normalizeWordList(item[key]);
+        if (list.length > 0) fields[key] = list;
+    });
+    if (typeof item.notes === 'string' && item.notes.trim()) fields.notes = item.notes.trim();
+    return fields;
+}
+
+function _senseRowHTML(sense = {}) {
+    const pos = sense.pos || '';
+    const options = ['', ...POS_OPTIONS].map(p =>
+        `<option value="${p}"${p === pos ? ' selected' : ''}>${p ? `${p}.` : '—'}</option>`
+    ).join('');
+    const meaning = escapeHtml(sense.meaning || '').replace(/"/g, '&quot;');
+    const examples = escapeHtml((sense.examples || []).join('\n'));
+    return `
+        <div class="sense-row">
+            <div class="sense-row-main">
+                <select class="sense-pos">${options}</select>
+                <input type="text" class="sense-meaning" placeholder="Meaning" value="${meaning}">
+                <button type="button" class="sense-remove-btn" onclick="removeSenseRow(this)" title="Remove sense" aria-label="Remove sense">×</button>
+            </div>
+            <textarea class="sense-examples" rows="2" placeholder="Examples, one per line">${examples}</textarea>
+        </div>
+    `;
+}
+
+function addSenseRow(mode) {
+    const editor = document.getElementById(_richFieldId(mode, 'sensesEditor'));
+    editor.insertAdjacentHTML('beforeend', _senseRowHTML());
+    editor.lastElementChild.querySelector('.sense-meaning').focus();
+}
+
+// The last remaining row is cleared instead of removed
+function removeSenseRow(button) {
+    const row = button.closest('.sense-row');
+    if (row.parentElement.children.length > 1) {
+        row.remove();
+        return;
+    }
+    row.querySelector('.sense-pos').value = '';
+    row.querySelector('.sense-meaning').value = '';
+    row.querySelector('.sense-examples').value = '';
+}
+
+function readSenses(mode) {
+    return normalizeSenses(Array.from(document.querySelectorAll(`#${_richFieldId(mode, 'sensesEditor')} .sense-row`)).map(row => ({
+        pos: row.querySelector('.sense-pos').value,
+        meaning: row.querySelector('.sense-meaning').value,
+        examples: row.querySelector('.sense-examples').value.split('\n')
+    })));
+}
+
+// Always leaves one row to type into
+function fillSenses(mode, senses = []) {
+    const list = senses.length > 0 ? senses : [{}];
+    document.getElementById(_richFieldId(mode, 'sensesEditor')).innerHTML = list.map(_senseRowHTML).join('');
+}
+
+function readRichFields(mode) {
+    const value = name => document.getElementById(_richFieldId(mode, name)).value;
+    return normalizeRichFields({
+        phonetic: value('phoneticInput'),
+        synonyms: value('synonymsInput'),
+        antonyms: value('antonymsInput'),
+        notes: value('notesInput')
+    });
+}
+
+function fillRichFields(mode, word = {}) {
+    document.getElementById(_richFieldId(mode, 'phoneticInput')).value = word.phonetic || '';
+    document.getElementById(_richFieldId(mode, 'synonymsInput')).value = (word.synonyms || []).join(', ');
+    document.getElementById(_richFieldId(mode, 'antonymsInput')).value = (word.antonyms || []).join(', ');
+    document.getElementById(_richFieldId(mode, 'notesInput')).value = word.notes || '';
+    // Open the section when the word already has extra fields
+    const { senses, ...extras } = normalizeRichFields(word);
+    document.getElementById(_richFieldId(mode, 'wordExtraFields')).open = Object.keys(extras).length > 0;
+}
+
+// Meaning line of a card: the summary, or a numbered list when senses need it
+function renderWordMeaningHTML(w, mark = escapeHtml) {
+    const hasSenseDetail = Array.isArray(w.senses)
+        && (w.senses.length > 1 || w.senses.some(s => (s.examples || []).length > 0));
+    if (!hasSenseDetail) return mark(w.meaning || '');
+    return '<ol class="word-senses">' + w.senses.map(s => {
+        const pos = s.pos ? `<span class="word-pos">${escapeHtml(s.pos)}</span>` : '';
+        const examples = (s.examples || []).map(e => `<div class="word-example">${escapeHtml(e)}</div>`).join('');
+        return `<li>${pos}${mark(s.meaning || '')}${examples}</li>`;
+    }).join('') + '</ol>';
+}
+
+// Card body for synonyms, antonyms and notes; the phonetic goes next to the title separately
+function renderRichWordDetails(w, mark = escapeHtml) {
+    let html = '';
+    const relations = [['Syn', w.synonyms], ['Ant', w.antonyms]]
+        .filter(([, list]) => Array.isArray(list) && list.length > 0)
+        .map(([label, list]) => `<span class="word-relation"><span class="word-relation-label">${label}</span>${escapeHtml(list.join(', '))}</span>`);
+    if (relations.length > 0) html += `<div class="word-relations">${relations.join('')}</div>`;
+    if (w.notes) html += `<div class="word-notes">${mark(w.notes)}</div>`;
+    return html;
+}
+
+// ========================================
+// Dictionary Lookup
+// ========================================
+
+// Providers resolve a headword to { phonetic, senses } or null; appSettings.dictionaryProvider picks the order
+const DICTIONARY_PROVIDERS = {
+    local: {
+        label: 'Local dictionary',
+        lookup: word => wordStore.getDictionaryEntry(word)
+    },
+    online: {
+        label: 'dictionaryapi.dev',
+        lookup: async word => {
+            const url = `https://api.dictionaryapi.dev/api/v2/entries/en_GB/${encodeURIComponent(word)}`;
+            const response = await fetchWithPersistentCache(url, WORD_AUDIO_CACHE_NAME);
+            if (!response || !response.ok) return null;
+            return normalizeDictionaryEntry(await response.json());
+        }
+    }
+};
+const DICTIONARY_PROVIDER_ORDER = {
+    auto: ['local', 'online'],
+    local: ['local'],
+    online: ['online']
+};
+const DICTIONARY_POS_MAP = {
+    noun: 'n', verb: 'v', adjective: 'adj', adverb: 'adv',
+    preposition: 'prep', conjunction: 'conj', pronoun: 'pron'
+};
+const DICTIONARY_MAX_SENSES = 30;
+
+let _dictionaryLookupState = null; // { mode, word, entry }
+
+function _normalizeDictionaryPos(pos) {
+    const value = String(pos || '').trim().toLowerCase().replace(/\.$/, '');
+    if (POS_OPTIONS.includes(value)) return value;
+    return DICTIONARY_POS_MAP[value] || '';
+}
+
+// Accepts a plain meaning string, a dictionaryapi.dev entry (or array of them),
+// or an entry in this app's own shape ({ phonetic, senses } or { meaning, pos })
+function normalizeDictionaryEntry(raw) {
+    if (!raw) return null;
+    if (typeof raw === 'string') {
+        return raw.trim() ? { phonetic: '', senses: [{ pos: '', meaning: raw.trim(), examples: [] }] } : null;
+    }
+    const parts = Array.isArray(raw) ? raw : [raw];
+    let phonetic = '';
+    const senses = [];
+    parts.forEach(part => {
+        if (!part || typeof part !== 'object') return;
+        if (!phonetic) {
+            phonetic = part.phonetic
+                || (Array.isArray(part.phonetics) ? (part.phonetics.find(p => p && p.text) || {}).text : '')
+                || '';
+        }
+        if (Array.isArray(part.meanings)) {
+            part.meanings.forEach(m => {
+                const pos = _normalizeDictionaryPos(m.partOfSpeech);
+                (m.definitions || []).forEach(d => {
+                    if (!d || !d.definition) return;
+                    senses.push({ pos, meaning: String(d.definition).trim(), examples: d.example ? [String(d.example).trim()] : [] });
+                });
+            });
+        } else {
+            const own = withWordSenses({ meaning: part.meaning, pos: part.pos, senses: part.senses });
+            normalizeSenses(own.senses).forEach(s => senses.push({ ...s, pos: _normalizeDictionaryPos(s.pos) }));
+        }
+    });
+    const list = senses.filter(s => s.meaning).slice(0, DICTIONARY_MAX_SENSES);
+    return list.length > 0 ? { phonetic: String(phonetic).trim(), senses: list } : null;
+}
+
+// Dictionary file: { "word": entry, ... } or [{ word, ...entry }, ...]; returns Map(headword -> entry)
+function parseDictionaryFile(data) {
+    const grouped = new Map();
+    const add = (word, raw) => {
+        const key = String(word || '').trim().toLowerCase();
+        if (!key) return;
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(raw);
+    };
+    if (Array.isArray(data)) {
+        data.forEach(item => {
+            if (item && typeof item === 'object') add(item.word, item);
+        });
+    } else if (data && typeof data === 'object') {
+        Object.entries(data).forEach(([word, raw]) => add(word, raw));
+    }
+
+    const entries = new Map();
+    grouped.forEach((raws, key) => {
+        const entry = normalizeDictionaryEntry(raws.length === 1 ? raws[0] : raws.flat());
+        if (entry) entries.set(key, entry);
+    });
+    return entries;
+}
+
+// First provider (in the configured order) that knows the word: { providerId, entry } or null
+async function lookupDictionary(word) {
+    const key = String(word || '').trim().toLowerCase();
+    if (!key) return null;
+    const order = DICTIONARY_PROVIDER_ORDER[appSettings.dictionaryProvider] || DICTIONARY_PROVIDER_ORDER.auto;
+    for (const providerId of order) {
+        try {
+            const entry = await DICTIONARY_PROVIDERS[providerId].lookup(key);
+            if (entry && entry.senses.length > 0) return { providerId, entry };
+        } catch (error) {
+            // Offline or a broken provider: try the next one
+        }
+    }
+    return null;
+}
+
+async function lookupWordForForm(mode) {
+    const word = document.getElementById(_richFieldId(mode, 'wordInput')).value.trim();
+    if (!word) {
+        showStatus('Type a word to look up', 'error');
+        return;
+    }
+    showStatus(`Looking up "${word}"…`, 'info');
+    const result = await lookupDictionary(word);
+    if (!result) {
+        showStatus(`No dictionary entry for "${word}"`, 'error');
+        return;
+    }
+
+    _dictionaryLookupState = { mode, word, entry: result.entry };
+    const { phonetic, senses } = result.entry;
+    document.getElementById('dictionaryModalTitle').textContent = word;
+    document.getElementById('dictionaryModalMeta').textContent =
+        [phonetic, DICTIONARY_PROVIDERS[result.providerId].label].filter(Boolean).join(' · ');
+    // Pre-check the first sense of each part of speech
+    const seenPos = new Set();
+    document.getElementById('dictionarySenseList').innerHTML = senses.map((sense, i) => {
+        const checked = !seenPos.has(sense.pos);
+        seenPos.add(sense.pos);
+        const pos = sense.pos ? `<span class="word-pos">${escapeHtml(sense.pos)}</span>` : '';
+        const example = sense.examples.length > 0 ? `<div class="word-example">${escapeHtml(sense.examples[0])}</div>` : '';
+        return `
+            <label class="dictionary-sense">
+                <input type="checkbox" value="${i}"${checked ? ' checked' : ''}>
+                <span class="dictionary-sense-body">${pos}${escapeHtml(sense.meaning)}${example}</span>
+            </label>
+        `;
+    }).join('');
+    document.getElementById('dictionaryModal').classList.add('active');
+}
+
+function closeDictionaryModal() {
+    document.getElementById('dictionaryModal').classList.remove('active');
+    _dictionaryLookupState = null;
+}
+
+// Replace the form's senses with the checked ones and fill the phonetic if it is empty
+function applyDictionarySelection() {
+    if (!_dictionaryLookupState) return;
+    const { mode, entry } = _dictionaryLookupState;
+    const chosen = Array.from(document.querySelectorAll('#dictionarySenseList input:checked'))
+        .map(input => entry.senses[Number(input.value)]);
+    if (chosen.length === 0) {
+        showStatus('Select at least one sense', 'error');
+        return;
+    }
+
+    fillSenses(mode, chosen);
+    const phoneticInput = document.getElementById(_richFieldId(mode, 'phoneticInput'));
+    if (entry.phonetic && !phoneticInput.value.trim()) {
+        phoneticInput.value = entry.phonetic;
+        document.getElementById(_richFieldId(mode, 'wordExtraFields')).open = true;
+    }
+    closeDictionaryModal();
+    showStatus(`Filled ${chosen.length} sense(s)`, 'success');
+}
+
+async function importDictionaryFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    let entries;
+    try {
+        entries = parseDictionaryFile(JSON.parse(await file.text()));
+    } catch (error) {
+        showStatus('Dictionary file must be JSON', 'error');
+        return;
+    }
+    if (entries.size === 0) {
+        showStatus('No dictionary entries found in file', 'error');
+        return;
+    }
+    const ok = await wordStore.putDictionaryEntries(entries);
+    if (!ok) return;
+    updateDictionaryInfo();
+    showStatus(`Imported ${entries.size} dictionary entries`, 'success');
+}
+
+async function clearLocalDictionary() {
+    const confirmed = await showInPageConfirm({
+        title: 'Clear Local Dictionary',
+        message: 'Remove all imported dictionary entries?',
+        confirmText: 'Clear',
+        confirmTone: 'danger'
+    });
+    if (!confirmed) return;
+    await wordStore.clearDictionary();
+    updateDictionaryInfo();
+    showStatus('Local dictionary cleared', 'success');
+}
+
+async function updateDictionaryInfo() {
+    const infoEl = document.getElementById('dictionaryInfo');
+    if (!infoEl) return;
+    const count = await wordStore.countDictionaryEntries();
+    infoEl.textContent = count > 0 ? `${count} local entries` : 'No local dictionary imported';
+}
+
+bindModalBackdropPressReleaseClose(
+    document.getElementById('dictionaryModal'),
+    closeDictionaryModal
+);
+
+// ========================================
+// Duplicate Detection
+// ========================================
+
+const DUPLICATE_KIND_LABELS = {
+    exact: 'same word',
+    normalized: 'same spelling',
+    inflection: 'inflected form'
+};
+
+// Case, surrounding whitespace and inner whitespace runs don't make a different word
+function normalizeWordKey(word) {
+    return String(word || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Words ending in s whose s-less spelling is a different word
+const NOT_PLURAL_WORDS = new Set(['news', 'series', 'species', 'always', 'perhaps', 'ours', 'yours', 'hers', 'toes']);
+
+// Candidate base forms of an English word (plural, past, -ing), including the word itself.
+// Deliberately rough: it only has to catch "run"/"running", not be a lemmatizer. With no
+// dictionary to check, plural stripping keeps a base of three letters (uses is not us) and
+// skips NOT_PLURAL_WORDS (news is not new).
+function getInflectionStems(key) {
+    const stems = new Set([key]);
+    if (!/^[a-z]+$/.test(key)) return stems;
+    const addBase = base => {
+        if (base.length < 3) return;
+        stems.add(base);
+        stems.add(`${base}e`);
+        if (/([b-df-hj-np-tv-z])\1$/.test(base)) stems.add(base.slice(0, -1));
+    };
+    if (key.endsWith('ies') && key.length > 4) stems.add(`${key.slice(0, -3)}y`);
+    // -es after a sibilant (boxes, watches) or o (goes, heroes), -s off a base of three letters or more
+    if (/(s|x|z|ch|sh)es$/.test(key) && key.length > 4) stems.add(key.slice(0, -2));
+    if (/oes$/.test(key) && !NOT_PLURAL_WORDS.has(key)) stems.add(key.slice(0, -2));
+    if (key.endsWith('s') && !/(ss|us|is)$/.test(key) && key.length > 3 && !NOT_PLURAL_WORDS.has(key)) stems.add(key.slice(0, -1));
+    if (key.endsWith('ied') && key.length > 4) stems.add(`${key.slice(0, -3)}y`);
+    if (key.endsWith('ed') && key.length > 4) addBase(key.slice(0, -2));
+    if (key.endsWith('ying') && key.length > 5) stems.add(`${key.slice(0, -4)}ie`);
+    if (key.endsWith('ing') && key.length > 5) addBase(key.slice(0, -3));
+    return stems;
+}
+
+// One word is a candidate base form of the other; sharing a stem is not enough
+// (hop and hope both stem from hoping, yet are different words)
+function _isInflectionPair(keyA, stemsA, keyB, stemsB) {
+    return stemsA.has(keyB) || stemsB.has(keyA);
+}
+
+function _getDuplicateKind(a, b) {
+    if (a === b) return 'exact';
+    const keyA = normalizeWordKey(a);
+    const keyB = normalizeWordKey(b);
+    if (keyA === keyB) return 'normalized';
+    return _isInflectionPair(keyA, getInflectionStems(keyA), keyB, getInflectionStems(keyB)) ? 'inflection' : null;
+}
+
+// Existing words that look like word: [{ index, kind }], closest kind first
+function findWordDuplicates(word, list = words, excludeIndex = -1) {
+    const rank = Object.keys(DUPLICATE_KIND_LABELS);
+    const matches = [];
+    list.forEach((w, index) => {
+        if (index === excludeIndex || !w || !w.word) return;
+        const kind = _getDuplicateKind(word, w.word);
+        if (kind) matches.push({ index, kind });
+    });
+    return matches.sort((a, b) => rank.indexOf(a.kind) - rank.indexOf(b.kind));
+}
+
+// Groups (arrays of indices, size > 1) in which every two words are the same word or one is an
+// inflection of the other. Groups don't chain: a word joins the first group it matches entirely.
+function findDuplicateGroups(list = words) {
+    const entries = list.map(w => {
+        if (!w || !w.word) return null;
+        const key = normalizeWordKey(w.word);
+        return { key, stems: getInflectionStems(key) };
+    });
+    const matches = (a, b) => a.key === b.key || _isInflectionPair(a.key, a.stems, b.key, b.stems);
+
+    // Candidates come from the stem index instead of comparing every pair
+    const byStem = new Map();
+    entries.forEach((entry, i) => {
+        if (!entry) return;
+        entry.stems.forEach(stem => {
+            if (!byStem.has(stem)) byStem.set(stem, []);
+            byStem.get(stem).push(i);
+        });
+    });
+
+    const grouped = new Set();
+    const groups = [];
+    entries.forEach((entry, i) => {
+        if (!entry || grouped.has(i)) return;
+        const candidates = new Set();
+        entry.stems.forEach(stem => byStem.get(stem).forEach(j => candidates.add(j)));
+        const group = [i];
+        Array.from(candidates).sort((a, b) => a - b).forEach(j => {
+            if (j <= i || grouped.has(j)) return;
+            if (group.every(k => matches(entries[k], entries[j]))) group.push(j);
+        });
+        if (group.length > 1) {
+            group.forEach(k => grouped.add(k));
+            groups.push(group);
+        }
+    });
+    return groups;
+}
+
+function _describeDuplicate(match) {
+    return `"${words[match.index].word}" (${DUPLICATE_KIND_LABELS[match.kind]})`;
+}
+
+// Live hint under the Add form's word input
+function updateDuplicateWarning() {
+    const warning = document.getElementById('duplicateWarning');
+    if (!warning) return;
+    const word = document.getElementById('wordInput').value.trim();
+    const matches = word ? findWordDuplicates(word) : [];
+    if (matches.length === 0) {
+        warning.classList.remove('active');
+        warning.innerHTML = '';
+        return;
+    }
+    const names = matches.slice(0, 3).map(m => escapeHtml(_describeDuplicate(m))).join(', ');
+    const more = matches.length > 3 ? ` and ${matches.length - 3} more` : '';
+    warning.innerHTML = `Already in list: ${names}${more}`;
+    warning.classList.add('active');
+}
+
+// Fold a new entry into an existing one: keep its weight, dates and schedule,
+// append senses it doesn't have yet and union tags, synonyms and antonyms; null if the word is gone
+function mergeIntoExistingWord(id, incoming) {
+    const index = getWordIndexById(id);
+    if (index === -1) return null;
+    const target = toCanonicalWord(words[index]);
+    const knownMeanings = new Set(target.senses.map(s => `${s.pos}|${s.meaning}`));
+    (incoming.senses || []).forEach(s => {
+        if (!knownMeanings.has(`${s.pos}|${s.meaning}`)) target.senses.push(s);
+    });
+    ['tags', 'synonyms', 'antonyms'].forEach(key => {
+        const merged = Array.from(new Set([...(target[key] || []), ...(incoming[key] || [])]));
+        if (merged.length > 0) target[key] = merged;
+    });
+    if (!target.phonetic && incoming.phonetic) target.phonetic = incoming.phonetic;
+    if (incoming.notes && incoming.notes !== target.notes) {
+        target.notes = target.notes ? `${target.notes}\n${incoming.notes}` : incoming.notes;
+    }
+    words[index] = syncSenseSummary(target);
+    return words[index];
+}
+
+// Batch toolbar: select every word that belongs to a duplicate group
+function selectDuplicateWords() {
+    const groups = findDuplicateGroups(words);
+    if (groups.length === 0) {
+        showStatus('No duplicates found', 'success');
+        return;
+    }
+    groups.forEach(group => group.forEach(i => selectedWords.add(words[i].id)));
+    updateBatchToolbar();
+    updateWordSelectionUI();
+    const count = groups.reduce((sum, group) => sum + group.length, 0);
+    showStatus(`Selected ${count} words in ${groups.length} duplicate group(s)`, 'success');
+}
+
 // Add word
-function addWord() {
+async function addWord() {
     const word = document.getElementById('wordInput').value.trim();
-    const meaning = document.getElementById('meaningInput').value.trim();
+    const senses = readSenses('add');
     const weight = selectedWeight;
     const date = document.getElementById('dateInput').value || new Date().toISOString().split('T')[0];
     const tags = tagSelectorState.add.slice();
@@ -2119,33 +3866,61 @@ function addWord() {
         return;
     }
 
-    const newWord = {
+    const newWord = syncSenseSummary({
+        id: generateWordId(),
         word: word.toLowerCase(),
-        meaning: meaning,
-        pos: selectedPos.slice(), // Copy array
+        senses: senses,
         weight: weight,
         added: date,
         joinedAt: new Date().toISOString().slice(0, 19),
-        tags: tags
-    };
+        tags: tags,
+        ...readRichFields('add')
+    });
+
+    const duplicate = findWordDuplicates(newWord.word)[0];
+    if (duplicate) {
+        const duplicateId = words[duplicate.index].id;
+        const choice = await showInPageChoice({
+            title: 'Possible Duplicate',
+            message: `"${newWord.word}" looks like ${_describeDuplicate(duplicate)}. Merge the new senses and tags into it?`,
+            choices: [
+                { text: 'Merge', value: 'merge' },
+                { text: 'Add Anyway', value: 'add' }
+            ]
+        });
+        if (!choice) return;
+        const existing = choice === 'merge' ? mergeIntoExistingWord(duplicateId, newWord) : null;
+        if (existing) {
+            saveData(false, `＃　${existing.word}`);
+            playActionSound('put');
+            renderWords();
+            showStatus(`Merged into "${existing.word}"`, 'success');
+            _clearAddForm();
+            return;
+        }
+    }
 
     words.push(newWord);
     saveData(false, `＋　${word}`);
     playActionSound('put');
     renderWords();
     showStatus(`Added "${word}"`, 'success');
+    _clearAddForm();
+}
 
-    // Clear form
+function _clearAddForm() {
     document.getElementById('wordInput').value = '';
-    document.getElementById('meaningInput').value = '';
+    fillSenses('add');
     tagSelectorState.add = [];
     renderTagSelector('add');
-    selectedPos = [];
-    updatePosSelection();
+    fillRichFields('add');
+    updateDuplicateWarning();
 }
 
 // Update weight
-function updateWeight(index, delta) {
+function updateWeight(id, delta) {
+    const index = getWordIndexById(id);
+    if (index === -1) return;
     const currentWeight = words[index].weight;
     const wordName = words[index].word;
 
@@ -2165,13 +3940,16 @@ function updateWeight(index, delta) {
     }
 
     words[index].weight = newWeight;
+    // Down = recalled, Up = forgotten
+    scheduleWordReview(words[index], delta < 0 ? SRS_QUALITY.good : SRS_QUALITY.again);
     saveData(false, `＃　${wordName}`);
     renderWords();
 }
 
 // Delete word
-async function deleteWord(index) {
-    const wordName = words[index].word;
+async function deleteWord(id) {
+    if (getWordIndexById(id) === -1) return;
+    const wordName = getWordById(id).word;
     const shouldDelete = await showInPageConfirm({
         title: 'Delete Word',
         message: `Delete "${wordName}"?`,
@@ -2181,7 +3959,11 @@ async function deleteWord(index) {
     });
     if (!shouldDelete) return;
 
+    // Look the word up again: the list may have changed while the dialog was open
+    const index = getWordIndexById(id);
+    if (index === -1) return;
     words.splice(index, 1);
+    selectedWords.delete(id);
     saveData(false, `－　${wordName}`);
     playActionSound('delete');
     renderWords();
@@ -2189,27 +3971,41 @@ async function deleteWord(index) {
 }
 
 // Toggle word selection
-function toggleWordSelection(index) {
-    if (selectedWords.has(index)) {
-        selectedWords.delete(index);
+function toggleWordSelection(id) {
+    if (selectedWords.has(id)) {
+        selectedWords.delete(id);
     } else {
-        selectedWords.add(index);
+        selectedWords.add(id);
     }
     // Update checkbox visual
-    const cb = document.getElementById(`select-${index}`);
-    if (cb) cb.checked = selectedWords.has(index);
+    const cb = document.getElementById(`select-${id}`);
+    if (cb) cb.checked = selectedWords.has(id);
     updateBatchToolbar();
     updateWordSelectionUI();
 }
 
+// Selected words in list order; ids of words that no longer exist are skipped
+function getSelectedWords() {
+    return words.filter(w => selectedWords.has(w.id));
+}
+
+const SORT_MODE_LABELS = {
+    'alpha': 'A-Z',
+    'alpha-desc': 'Z-A',
+    'chrono': 'Date↑',
+    'chrono-desc': 'Date↓',
+    'join': 'Join↑',
+    'join-desc': 'Join↓'
+};
+
 // Toggle sort mode
 function toggleSortMode() {
-    const modes = ['alpha', 'alpha-desc', 'chrono', 'chrono-desc', 'join', 'join-desc'];
-    const labels = ['A-Z', 'Z-A', 'Date↑', 'Date↓', 'Join↑', 'Join↓'];
+    const modes = Object.keys(SORT_MODE_LABELS);
     const idx = modes.indexOf(wordSortMode);
     wordSortMode = modes[(idx + 1) % modes.length];
     const btn = document.getElementById('sortModeBtn');
-    if (btn) btn.textContent = labels[modes.indexOf(wordSortMode)];
+    if (btn) btn.textContent = SORT_MODE_LABELS[wordSortMode];
+    persistViewState();
     renderWords();
 }
 
@@ -2245,6 +4041,8 @@ function updateBatchToolbar() {
         batchDeleteBtn.textContent = hasSelection ? `Delete (${selectedWords.size})` : 'Delete';
     }
     if (batchSetDateBtn) batchSetDateBtn.disabled = !hasSelection;
+    const batchAnkiBtn = document.getElementById('batchAnkiBtn');
+    if (batchAnkiBtn) batchAnkiBtn.disabled = !hasSelection;
     const batchAddTagBtn = document.getElementById('batchAddTagBtn');
     const batchRemoveTagBtn = document.getElementById('batchRemoveTagBtn');
     if (batchAddTagBtn) batchAddTagBtn.disabled = !hasSelection;
@@ -2259,10 +4057,7 @@ function updateBatchToolbar() {
 function selectAll() {
     const filteredWords = words.filter(w => w.weight >= -3);
 
-    filteredWords.forEach(w => {
-        const index = words.indexOf(w);
-        selectedWords.add(index);
-    });
+    filteredWords.forEach(w => selectedWords.add(w.id));
 
     updateBatchToolbar();
     updateWordSelectionUI();
@@ -2283,9 +4078,8 @@ function selectInvert() {
 
     const newSelection = new Set();
     filteredWords.forEach(w => {
-        const index = words.indexOf(w);
-        if (!selectedWords.has(index)) {
-            newSelection.add(index);
+        if (!selectedWords.has(w.id)) {
+            newSelection.add(w.id);
         }
     });
 
@@ -2298,13 +4092,13 @@ function selectInvert() {
 // Add or remove words matching predicate from selectedWords
 function _modifySelectionByPredicate(predicate, action) {
     let count = 0;
-    words.forEach((w, i) => {
+    words.forEach(w => {
         if (!predicate(w)) return;
         if (action === 'add') {
-            selectedWords.add(i);
+            selectedWords.add(w.id);
             count++;
-        } else if (selectedWords.has(i)) {
-            selectedWords.delete(i);
+        } else if (selectedWords.has(w.id)) {
+            selectedWords.delete(w.id);
             count++;
         }
     });
@@ -2400,14 +4194,14 @@ function deselectByRegex() {
 function selectByTag() {
     const tagId = tagSelectorState.batchFilter;
     if (!tagId) { showStatus('Please select a tag', 'error'); return; }
-    const count = _modifySelectionByPredicate(w => (w.tags || []).includes(tagId), 'add');
+    const count = _modifySelectionByPredicate(w => wordHasTag(w, tagId), 'add');
     showStatus(`+${count} word(s)`, 'success');
 }
 
 function deselectByTag() {
     const tagId = tagSelectorState.batchFilter;
     if (!tagId) { showStatus('Please select a tag', 'error'); return; }
-    const count = _modifySelectionByPredicate(w => (w.tags || []).includes(tagId), 'remove');
+    const count = _modifySelectionByPredicate(w => wordHasTag(w, tagId), 'remove');
     showStatus(`−${count} word(s)`, 'success');
 }
 
@@ -2420,12 +4214,13 @@ async function batchAddTag() {
         return;
     }
 
-    const count = selectedWords.size;
-    selectedWords.forEach(index => {
-        if (!words[index].tags) words[index].tags = [];
+    const selected = getSelectedWords();
+    const count = selected.length;
+    selected.forEach(w => {
+        if (!w.tags) w.tags = [];
         tagIds.forEach(tagId => {
-            if (!words[index].tags.includes(tagId)) {
-                words[index].tags.push(tagId);
+            if (!w.tags.includes(tagId)) {
+                w.tags.push(tagId);
             }
         });
     });
@@ -2446,12 +4241,12 @@ async function batchRemoveTag() {
     }
 
     let affected = 0;
-    selectedWords.forEach(index => {
-        if (!words[index].tags) return;
+    getSelectedWords().forEach(w => {
+        if (!w.tags) return;
         tagIds.forEach(tagId => {
-            const idx = words[index].tags.indexOf(tagId);
+            const idx = w.tags.indexOf(tagId);
             if (idx !== -1) {
-                words[index].tags.splice(idx, 1);
+                w.tags.splice(idx, 1);
                 affected++;
             }
         });
@@ -2478,13 +4273,12 @@ async function batchAdjustWeight(delta) {
     });
     if (!shouldAdjust) return;
 
-    selectedWords.forEach(index => {
-        const currentWeight = words[index].weight;
-        const newWeight = currentWeight + delta;
+    getSelectedWords().forEach(w => {
+        const newWeight = w.weight + delta;
 
         // Don't go below -2 or above 10
         if (newWeight >= -2 && newWeight <= 10) {
-            words[index].weight = newWeight;
+            w.weight = newWeight;
         }
     });
 
@@ -2514,11 +4308,9 @@ async function batchSetDate() {
     if (!shouldSetDate) return;
 
     let updatedCount = 0;
-    selectedWords.forEach(index => {
-        if (words[index]) {
-            words[index].added = targetDate;
-            updatedCount++;
-        }
+    getSelectedWords().forEach(w => {
+        w.added = targetDate;
+        updatedCount++;
     });
 
     if (updatedCount === 0) {
@@ -2534,10 +4326,10 @@ async function batchSetDate() {
 // Update word selection UI
 function updateWordSelectionUI() {
     // Update all checkboxes
-    words.forEach((_, index) => {
-        const checkbox = document.getElementById(`select-${index}`);
+    words.forEach(w => {
+        const checkbox = document.getElementById(`select-${w.id}`);
         if (checkbox) {
-            checkbox.checked = selectedWords.has(index);
+            checkbox.checked = selectedWords.has(w.id);
         }
     });
 }
@@ -2546,7 +4338,7 @@ function updateWordSelectionUI() {
 async function batchDeleteConfirm() {
     if (selectedWords.size === 0) return;
 
-    const count = selectedWords.size;
+    const count = getSelectedWords().length;
     const shouldDelete = await showInPageConfirm({
         title: 'Delete Words',
         message: `Delete ${count} selected word(s)?`,
@@ -2556,10 +4348,7 @@ async function batchDeleteConfirm() {
     });
     if (!shouldDelete) return;
 
-    const indicesToDelete = Array.from(selectedWords).sort((a, b) => b - a);
-    indicesToDelete.forEach(index => {
-        words.splice(index, 1);
-    });
+    words = words.filter(w => !selectedWords.has(w.id));
     selectedWords.clear();
     saveData(false, `－　${count}`);
     playActionSound('delete');
@@ -2829,24 +4618,23 @@ function pronounceSpeechSynthesis(word, requestId = pronunciationRequestId) {
 }
 
 // Open edit modal
-function openEditModal(index) {
-    editingIndex = index;
-    const word = words[index];
+function openEditModal(id) {
+    const word = getWordById(id);
+    if (!word) return;
+    editingWordId = id;
 
     document.getElementById('editWordInput').value = word.word;
-    document.getElementById('editMeaningInput').value = word.meaning;
+    fillSenses('edit', withWordSenses(word).senses);
     document.getElementById('editDateInput').value = word.added;
     tagSelectorState.edit = (word.tags || []).slice();
     renderTagSelector('edit');
 
-    // Set POS selection
-    editSelectedPos = Array.isArray(word.pos) ? word.pos.slice() : (word.pos ? [word.pos] : []);
-    updateEditPosSelection();
     editSelectedWeight = Number.isInteger(word.weight) ? word.weight : parseInt(word.weight, 10);
     if (Number.isNaN(editSelectedWeight)) {
         editSelectedWeight = 3;
     }
     updateEditWeightSelection();
+    fillRichFields('edit', word);
 
     document.getElementById('editModal').classList.add('active');
     initResponsiveDateInputs();
@@ -2854,7 +4642,7 @@ function openEditModal(index) {
 
 // Close edit modal
 function closeEditModal() {
-    editingIndex = -1;
+    editingWordId = null;
     document.getElementById('editModal').classList.remove('active');
 }
 
@@ -2892,40 +4680,390 @@ function bindModalBackdropPressReleaseClose(modal, onClose) {
 
 // Save edit
 function saveEdit() {
-    if (editingIndex === -1) return;
+    const index = getWordIndexById(editingWordId);
+    if (index === -1) return;
 
     const word = document.getElementById('editWordInput').value.trim();
-    const meaning = document.getElementById('editMeaningInput').value.trim();
+    const senses = readSenses('edit');
     const weight = editSelectedWeight;
     const date = document.getElementById('editDateInput').value;
     const tags = tagSelectorState.edit.slice();
 
-    if (!word) {
-        alert('Please fill in word');
+    if (!word) {
+        alert('Please fill in word');
+        return;
+    }
+
+    const oldWord = words[index].word;
+
+    words[index] = syncSenseSummary({
+        id: editingWordId,
+        word: word.toLowerCase(),
+        senses: senses,
+        weight: weight,
+        added: date,
+        joinedAt: words[index].joinedAt,
+        tags: tags,
+        srs: words[index].srs,
+        ...readRichFields('edit')
+    });
+
+    saveData(false, `✎　${oldWord}`);
+    renderWords();
+    closeEditModal();
+}
+
+bindModalBackdropPressReleaseClose(
+    document.getElementById('editModal'),
+    closeEditModal
+);
+
+// ---- Word Search ----
+// The search box takes a small query language; every clause must hold (prefix "-" negates):
+//   plain words     fuzzy text over word, meaning, tag names and notes ("quoted phrase" too)
+//   tag:verbs       has the tag (tag:"phrasal verbs" for names with spaces)
+//   pos:v           has a sense with that part of speech
+//   weight>=3       weight compared with >, >=, <, <=, = or a range weight:1..4
+//   accuracy<60     quiz accuracy in percent; reviews>=5 counts quiz answers
+//   added:2026-01..2026-03   added date range; dates may be YYYY, YYYY-MM or YYYY-MM-DD
+//   /ment$/         regex over word and meaning (flags allowed, case-insensitive by default)
+
+let _wordSearchQuery = null; // compiled query from the search box, null when empty
+let _wordSearchTerms = []; // plain text terms, for highlighting
+
+function _searchTolerance(term) {
+    if (term.length < 4) return 0;
+    return term.length < 8 ? 1 : 2;
+}
+
+// [start, end) ranges in text matched by one lower-case term
+function findSearchHits(text, term) {
+    const lower = String(text || '').toLowerCase();
+    const hits = [];
+    for (let i = lower.indexOf(term); i !== -1; i = lower.indexOf(term, i + term.length)) {
+        hits.push([i, i + term.length]);
+    }
+    const tolerance = _searchTolerance(term);
+    if (hits.length > 0 || tolerance === 0) return hits;
+
+    const tokenPattern = /[\p{L}\p{N}']+/gu;
+    let match;
+    while ((match = tokenPattern.exec(lower)) !== null) {
+        const token = match[0];
+        if (Math.abs(token.length - term.length) > tolerance) continue;
+        if (levenshtein(token, term) <= tolerance) hits.push([match.index, match.index + token.length]);
+    }
+    return hits;
+}
+
+function _wordSearchFields(w) {
+    const tagNames = (w.tags || []).map(id => getTagName(id)).filter(Boolean);
+    return [w.word, w.meaning, ...tagNames, w.notes].filter(Boolean);
+}
+
+// Split on whitespace, keeping "quoted text" and /regex/ tokens whole
+function tokenizeWordQuery(query) {
+    const tokens = [];
+    const text = String(query || '');
+    let i = 0;
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i++;
+            continue;
+        }
+        const start = i;
+        const bodyStart = text[i] === '-' ? i + 1 : i;
+        if (text[bodyStart] === '/') {
+            i = bodyStart + 1;
+            while (i < text.length && text[i] !== '/') i += text[i] === '\\' ? 2 : 1;
+            i++;
+            while (i < text.length && /[a-z]/i.test(text[i])) i++;
+        } else {
+            while (i < text.length && !/\s/.test(text[i])) {
+                if (text[i] === '"') {
+                    const close = text.indexOf('"', i + 1);
+                    i = close === -1 ? text.length : close + 1;
+                } else {
+                    i++;
+                }
+            }
+        }
+        tokens.push(text.slice(start, Math.min(i, text.length)));
+    }
+    return tokens;
+}
+
+function _unquoteQueryValue(value) {
+    return value.replace(/^"/, '').replace(/"$/, '');
+}
+
+function _compareQueryValue(value, op, target) {
+    switch (op) {
+        case '>': return value > target;
+        case '>=': return value >= target;
+        case '<': return value < target;
+        case '<=': return value <= target;
+        default: return value === target;
+    }
+}
+
+// Numeric field: a comparison (weight>=3) or an inclusive range (weight:1..4); null values never match
+function _numberQueryTest(label, op, value, getValue) {
+    const range = /^(-?\d+)?\.\.(-?\d+)?$/.exec(value);
+    if (range && (op === ':' || op === '=')) {
+        const min = range[1] === undefined ? -Infinity : Number(range[1]);
+        const max = range[2] === undefined ? Infinity : Number(range[2]);
+        return w => {
+            const n = getValue(w);
+            return n !== null && n >= min && n <= max;
+        };
+    }
+    if (!/^-?\d+$/.test(value)) throw new Error(`Bad ${label} "${value}"`);
+    const target = Number(value);
+    return w => {
+        const n = getValue(w);
+        return n !== null && _compareQueryValue(n, op, target);
+    };
+}
+
+const QUERY_DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+// Each field turns (op, value) into a test, or throws with a message for the error line
+const WORD_QUERY_FIELDS = {
+    tag(op, value) {
+        const name = value.toLowerCase();
+        const tag = tagRegistry.find(t => t.name.toLowerCase() === name);
+        if (!tag) throw new Error(`Unknown tag "${value}"`);
+        return w => wordHasTag(w, tag.id);
+    },
+    pos(op, value) {
+        const pos = value.toLowerCase();
+        return w => (Array.isArray(w.pos) ? w.pos : []).some(p => p.toLowerCase() === pos);
+    },
+    weight(op, value) {
+        return _numberQueryTest('weight', op, value, w => w.weight);
+    },
+    // Percentage of quiz answers that were correct (see getReviewAccuracy); words never quizzed don't match
+    accuracy(op, value) {
+        return _numberQueryTest('accuracy', op, value, w => getReviewAccuracy(_reviewEntriesForWord(w)));
+    },
+    reviews(op, value) {
+        return _numberQueryTest('reviews', op, value, w => _reviewEntriesForWord(w).length);
+    },
+    // Dates compare on the query's precision, so added<=2026-03 includes all of March
+    added(op, value) {
+        const range = /^([^.]*)\.\.([^.]*)$/.exec(value);
+        const bounds = range && (op === ':' || op === '=') ? [range[1], range[2]] : [value];
+        bounds.forEach(d => {
+            if (d && !QUERY_DATE_PATTERN.test(d)) throw new Error(`Bad date "${d}"`);
+        });
+        const at = (w, d) => (w.added || '').slice(0, d.length);
+        if (bounds.length === 2) {
+            const [from, to] = bounds;
+            return w => (!from || at(w, from) >= from) && (!to || at(w, to) <= to);
+        }
+        return w => _compareQueryValue(at(w, value), op, value);
+    }
+};
+
+// Compile a query into { predicate, terms, errors }; clauses with errors are left out
+function compileWordQuery(query) {
+    const tests = [];
+    const terms = [];
+    const errors = [];
+    tokenizeWordQuery(query).forEach(token => {
+        const negate = token.length > 1 && token[0] === '-';
+        const body = negate ? token.slice(1) : token;
+        let test = null;
+        try {
+            const regex = /^\/(.+)\/([a-z]*)$/i.exec(body);
+            const field = /^([a-z]+)(>=|<=|:|=|>|<)(.+)$/i.exec(body);
+            if (regex) {
+                const flags = regex[2].replace(/[gy]/g, '');
+                const pattern = new RegExp(regex[1], flags.includes('i') ? flags : `${flags}i`);
+                test = w => pattern.test(w.word) || pattern.test(w.meaning || '');
+            } else if (field && WORD_QUERY_FIELDS[field[1].toLowerCase()]) {
+                test = WORD_QUERY_FIELDS[field[1].toLowerCase()](field[2], _unquoteQueryValue(field[3]));
+            } else {
+                const term = _unquoteQueryValue(body).toLowerCase();
+                if (!term) return;
+                if (!negate) terms.push(term);
+                test = w => _wordSearchFields(w).some(text => findSearchHits(text, term).length > 0);
+            }
+        } catch (error) {
+            errors.push(error.message.replace(/^Invalid regular expression: /, ''));
+            return;
+        }
+        tests.push(negate ? w => !test(w) : test);
+    });
+    return {
+        predicate: w => tests.every(test => test(w)),
+        terms: Array.from(new Set(terms)),
+        errors
+    };
+}
+
+function matchesWordSearch(w) {
+    return !_wordSearchQuery || _wordSearchQuery.predicate(w);
+}
+
+// Escaped text with search hits wrapped in <mark>
+function highlightSearchText(text) {
+    const value = String(text || '');
+    if (_wordSearchTerms.length === 0) return escapeHtml(value);
+
+    const ranges = _wordSearchTerms
+        .flatMap(term => findSearchHits(value, term))
+        .sort((a, b) => a[0] - b[0]);
+    let html = '';
+    let pos = 0;
+    ranges.forEach(([start, end]) => {
+        if (end <= pos) return;
+        start = Math.max(start, pos);
+        html += escapeHtml(value.slice(pos, start)) + `<mark class="search-hit">${escapeHtml(value.slice(start, end))}</mark>`;
+        pos = end;
+    });
+    return html + escapeHtml(value.slice(pos));
+}
+
+function onWordSearchInput() {
+    const input = document.getElementById('wordSearchInput');
+    const query = input ? input.value.trim() : '';
+    _wordSearchQuery = query ? compileWordQuery(query) : null;
+    _wordSearchTerms = _wordSearchQuery ? _wordSearchQuery.terms : [];
+    const errorEl = document.getElementById('wordSearchError');
+    if (errorEl) errorEl.textContent = _wordSearchQuery ? _wordSearchQuery.errors.join(' · ') : '';
+    renderWords();
+}
+
+function setWordSearchQuery(query) {
+    const input = document.getElementById('wordSearchInput');
+    if (input) input.value = query;
+    onWordSearchInput();
+}
+
+function clearWordSearch() {
+    setWordSearchQuery('');
+}
+
+function _updateWordSearchCount(shown) {
+    const countEl = document.getElementById('wordSearchCount');
+    if (!countEl) return;
+    countEl.textContent = _wordSearchQuery ? `${shown} / ${words.length}` : '';
+}
+
+// Batch toolbar: add or remove every word matching the search query
+function selectBySearchQuery(action) {
+    if (!_wordSearchQuery) {
+        showStatus('Please enter a search query', 'error');
+        return;
+    }
+    const count = _modifySelectionByPredicate(_wordSearchQuery.predicate, action);
+    showStatus(`${action === 'add' ? '+' : '−'}${count} word(s)`, 'success');
+}
+
+document.getElementById('wordSearchInput').addEventListener('input', onWordSearchInput);
+document.getElementById('wordSearchInput').addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        clearWordSearch();
+        this.blur();
+    }
+});
+
+// "/" focuses the search box from anywhere outside a text field or open modal
+document.addEventListener('keydown', function(e) {
+    if (e.key !== '/' || e.metaKey || e.ctrlKey || e.altKey) return;
+    if (_isTypingTarget(e.target) || document.querySelector('.modal.active')) return;
+    e.preventDefault();
+    const input = document.getElementById('wordSearchInput');
+    input.focus();
+    input.select();
+});
+
+// ---- Saved Queries ----
+
+const SAVED_QUERIES_KEY = 'wordMemorySavedQueries';
+let savedQueries = []; // [{ name, query }] for the current book
+let savedQueryDropdownInstance = null;
+
+function loadSavedQueries() {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(getBookStorageKey(SAVED_QUERIES_KEY)) || '[]');
+        savedQueries = Array.isArray(parsed)
+            ? parsed.filter(q => q && typeof q.name === 'string' && typeof q.query === 'string')
+            : [];
+    } catch (e) {
+        savedQueries = [];
+    }
+    renderSavedQueries();
+}
+
+function persistSavedQueries() {
+    try {
+        localStorage.setItem(getBookStorageKey(SAVED_QUERIES_KEY), JSON.stringify(savedQueries));
+    } catch (error) {
+    }
+}
+
+function renderSavedQueries() {
+    const listEl = document.getElementById('savedQueryDropdown');
+    if (!listEl) return;
+    const options = savedQueries.map((q, i) => `
+        <div class="dropdown-option saved-query-option" onclick="applySavedQuery(${i})" title="${escapeHtml(q.query).replace(/"/g, '&quot;')}">
+            <span class="saved-query-name">${escapeHtml(q.name)}</span>
+            <button class="saved-query-delete" onclick="event.stopPropagation(); deleteSavedQuery(${i})" aria-label="Delete saved query">×</button>
+        </div>
+    `).join('');
+    listEl.innerHTML = (options || '<div class="saved-query-empty">No saved queries</div>')
+        + '<label class="dropdown-option book-action" onclick="saveCurrentQuery()">+ Save Current Query</label>';
+}
+
+function applySavedQuery(index) {
+    const saved = savedQueries[index];
+    if (!saved) return;
+    Dropdown.closeAll();
+    setWordSearchQuery(saved.query);
+}
+
+function saveCurrentQuery() {
+    Dropdown.closeAll();
+    const input = document.getElementById('wordSearchInput');
+    const query = input ? input.value.trim() : '';
+    if (!query) {
+        showStatus('Type a query in the search box first', 'error');
         return;
     }
+    const name = (prompt('Name for this query:', query) || '').trim();
+    if (!name) return;
 
-    const oldWord = words[editingIndex].word;
-
-    words[editingIndex] = {
-        word: word.toLowerCase(),
-        meaning: meaning,
-        pos: editSelectedPos.slice(), // Copy array
-        weight: weight,
-        added: date,
-        joinedAt: words[editingIndex].joinedAt,
-        tags: tags
-    };
-
-    saveData(false, `✎　${oldWord}`);
-    renderWords();
-    closeEditModal();
+    const existing = savedQueries.findIndex(q => q.name === name);
+    if (existing >= 0) {
+        savedQueries[existing].query = query;
+    } else {
+        savedQueries.push({ name, query });
+    }
+    persistSavedQueries();
+    renderSavedQueries();
+    showStatus(`Saved query "${name}"`, 'success');
 }
 
-bindModalBackdropPressReleaseClose(
-    document.getElementById('editModal'),
-    closeEditModal
-);
+async function deleteSavedQuery(index) {
+    const saved = savedQueries[index];
+    if (!saved) return;
+    Dropdown.closeAll();
+    const shouldDelete = await showInPageConfirm({
+        title: 'Delete Saved Query',
+        message: `Delete "${saved.name}"?`,
+        confirmText: 'Delete',
+        cancelText: 'Cancel',
+        confirmTone: 'danger'
+    });
+    if (!shouldDelete) return;
+    savedQueries.splice(savedQueries.indexOf(saved), 1);
+    persistSavedQueries();
+    renderSavedQueries();
+}
 
 // Render words
 function renderWords() {
@@ -2936,26 +5074,19 @@ function renderWords() {
 
     // Show all words, apply tag filter
     let filteredWords = words.filter(w => w.weight >= -3);
-    if (activeTagFilters.size > 0) {
-        filteredWords = filteredWords.filter(w => {
-            const wTags = w.tags || [];
-            return Array.from(activeTagFilters).some(t => wTags.includes(t));
-        });
-    }
-    if (excludedTagFilters.size > 0) {
-        filteredWords = filteredWords.filter(w => {
-            const wTags = w.tags || [];
-            return !Array.from(excludedTagFilters).some(t => wTags.includes(t));
-        });
-    }
+    if (activeTagFilters.size + excludedTagFilters.size > 0) filteredWords = filteredWords.filter(matchesTagFilters);
+    if (_wordSearchQuery) filteredWords = filteredWords.filter(matchesWordSearch);
+    _updateWordSearchCount(filteredWords.length);
 
     if (filteredWords.length === 0) {
+        resetWordListView();
         container.innerHTML = `
             <div class="empty-state">
                 <div class="empty-state-icon">—</div>
-                <div>No Words</div>
+                <div>${_wordSearchQuery ? 'No Matches' : 'No Words'}</div>
             </div>
         `;
+        updateQuizButtonLabel();
         applyAudioPreloadSetting();
         return;
     }
@@ -2985,14 +5116,14 @@ function renderWords() {
         }
     }
 
-    let groupEntries; // Array of { label, words, collapsed }
+    let groupEntries; // Array of { key, parentKey?, label, words, count?, collapsed }, parents before children
 
     if (wordGroupMode === 'tag') {
-        // Group by tag
+        // Group by tag; nested tags become child groups whose parents count the whole subtree
         const tagGroups = {};
         const untagged = [];
         filteredWords.forEach(w => {
-            const tags = w.tags || [];
+            const tags = getWordTagIds(w).filter(t => getTagName(t));
             if (tags.length === 0) {
                 untagged.push(w);
             } else {
@@ -3002,15 +5133,26 @@ function renderWords() {
                 });
             }
         });
-        // Sort tag groups by name
-        const sortedTagIds = Object.keys(tagGroups).sort((a, b) => getTagName(a).localeCompare(getTagName(b)));
-        groupEntries = sortedTagIds.map(tagId => {
-            sortWordList(tagGroups[tagId]);
-            return { label: getTagName(tagId) || tagId, words: tagGroups[tagId], collapsed: false };
+        groupEntries = [];
+        getTagTree().forEach(({ tag, parentId }) => {
+            const subtreeWords = new Set();
+            getTagDescendantIds(tag.id).forEach(id => (tagGroups[id] || []).forEach(w => subtreeWords.add(w)));
+            if (subtreeWords.size === 0) return;
+            const ownWords = tagGroups[tag.id] || [];
+            sortWordList(ownWords);
+            groupEntries.push({
+                key: `tag:${tag.id}`,
+                parentKey: parentId ? `tag:${parentId}` : null,
+                label: getTagLabel(tag.id),
+                color: getTagColor(tag.id),
+                words: ownWords,
+                count: subtreeWords.size,
+                collapsed: false
+            });
         });
         if (untagged.length > 0) {
             sortWordList(untagged);
-            groupEntries.push({ label: 'Untagged', words: untagged, collapsed: true });
+            groupEntries.push({ key: 'tag:', label: 'Untagged', words: untagged, collapsed: true });
         }
     } else {
         // Group by weight (default)
@@ -3023,87 +5165,250 @@ function renderWords() {
         groupEntries = sortedWeights.map(weight => {
             sortWordList(groups[weight]);
             const isNegative = weight < 0;
-            return { label: getWeightLabel(weight), words: groups[weight], collapsed: isNegative };
+            return { key: `weight:${weight}`, label: getWeightLabel(weight), words: groups[weight], collapsed: isNegative };
         });
     }
 
-    let html = '';
-    groupEntries.forEach(({ label: groupLabel, words: groupWords, collapsed }) => {
-        const expandedClass = collapsed ? '' : 'expanded';
-        const collapseIcon = collapsed ? '▼' : '▲';
-
-        html += `
-            <div class="word-group">
-                <div class="collapsible-header" onclick="toggleCollapse(this)">
-                    <div class="group-header" style="margin-bottom: 0; border: none;">${groupLabel} (${groupWords.length})</div>
-                    <div class="collapse-icon">${collapseIcon}</div>
-                </div>
-                <div class="collapsible-content ${expandedClass}">
-        `;
+    renderWordGroups(container, groupEntries);
+    updateBatchToolbar();
+    updateQuizButtonLabel();
+    if (audioPreloadObserver) {
+        scheduleGlobalWordAudioPreload();
+    } else {
+        applyAudioPreloadSetting();
+    }
+}
 
-        groupWords.forEach(w => {
-            const originalIndex = words.indexOf(w);
-            const isInvalid = w.weight === -3;
-            const masteredClass = (w.weight < 0 && !isInvalid) ? 'mastered' : '';
-            const invalidClass = isInvalid ? 'invalid' : '';
-            const weightText = isInvalid ? '!' : String(w.weight);
-            const weightShapeClass = weightText.length > 1 ? 'is-wide' : '';
-            const weightDisplay = weightText.length > 1
-                ? `<span class="word-weight-text is-squeezed">${weightText}</span>`
-                : `<span class="word-weight-text">${weightText}</span>`;
-
-            const posArray = Array.isArray(w.pos) ? w.pos : (w.pos ? [w.pos] : []);
-            const posTags = posArray.length > 0
-                ? posArray.map(p => `<span class="word-pos">${p}</span>`).join('')
-                : '';
-
-            const tagsArray = (Array.isArray(w.tags) ? w.tags : []).map(id => getTagName(id)).filter(n => n);
-            const tagBadges = tagsArray.length > 0
-                ? '<div class="word-tags">' + tagsArray.map(name => `<span class="word-tag">${name}</span>`).join('') + '</div>'
-                : '';
-
-            html += `
-                <div class="word-item ${masteredClass} ${invalidClass}${isSelectMode ? ' select-mode' : ''}" data-word="${w.word}" ${isSelectMode ? `onclick="toggleWordSelection(${originalIndex})"` : ''}>
-                    <div class="word-header">
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            ${isSelectMode ? `<input type="checkbox" id="select-${originalIndex}" class="word-checkbox" ${selectedWords.has(originalIndex) ? 'checked' : ''} tabindex="-1">` : ''}
-                            <div>
-                                <span class="word-title">${w.word}</span>
-                                ${posTags}
-                                ${!isSelectMode ? `<button class="btn-pronounce" onclick="pronounceWord('${w.word}')" title="Pronounce (British)" aria-label="Pronounce (British)">${SPEAKER_ICON_SVG}</button>` : ''}
-                            </div>
-                        </div>
-                        <div class="word-weight ${weightShapeClass}">${weightDisplay}</div>
+// ---- Incremental word list ----
+// Groups and cards stay in the DOM between renders; a card is rebuilt only when its
+// markup changes, and expanded groups fill in batches as their end scrolls into view.
+
+const WORD_RENDER_BATCH = 100;
+
+let _wordGroupViews = new Map(); // group key -> { el, label, icon, content, sentinel, words, rendered }
+let _wordCardCache = new Map(); // `${groupKey}|${wordId}` -> { html, el }
+const _groupCollapseState = new Map(); // group key -> collapsed, as left by toggleCollapse (saved with the view state)
+let _wordBatchObserver = null;
+
+function _createElementFromHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+}
+
+function renderWordCardHTML(w) {
+    const isInvalid = w.weight === -3;
+    const masteredClass = (w.weight < 0 && !isInvalid) ? 'mastered' : '';
+    const invalidClass = isInvalid ? 'invalid' : '';
+    const weightText = isInvalid ? '!' : String(w.weight);
+    const weightShapeClass = weightText.length > 1 ? 'is-wide' : '';
+    const weightDisplay = weightText.length > 1
+        ? `<span class="word-weight-text is-squeezed">${weightText}</span>`
+        : `<span class="word-weight-text">${weightText}</span>`;
+
+    const posArray = Array.isArray(w.pos) ? w.pos : (w.pos ? [w.pos] : []);
+    const posTags = posArray.length > 0
+        ? posArray.map(p => `<span class="word-pos">${p}</span>`).join('')
+        : '';
+
+    const srsDue = w.srs ? getWordSrs(w).due : null;
+    const dueMeta = srsDue ? ` · Due: ${formatAddedDateLabel(srsDue)}` : '';
+
+    const richDetails = renderRichWordDetails(w, highlightSearchText);
+
+    const tagsArray = getWordTagIds(w).filter(id => getTagName(id));
+    const tagBadges = tagsArray.length > 0
+        ? '<div class="word-tags">' + tagsArray.map(id => {
+            const classes = (isSmartCollection(id) ? ' smart' : '') + (getTagColor(id) ? ' colored' : '');
+            const icon = getTagIcon(id) ? `${escapeHtml(getTagIcon(id))} ` : '';
+            return `<span class="word-tag${classes}"${getTagAttrs(id)}>${icon}${highlightSearchText(getTagName(id))}</span>`;
+        }).join('') + '</div>'
+        : '';
+
+    return `
+        <div class="word-item ${masteredClass} ${invalidClass}${isSelectMode ? ' select-mode' : ''}" data-word="${w.word}" data-word-id="${w.id}" ${isSelectMode ? `onclick="toggleWordSelection('${w.id}')"` : ''}>
+            <div class="word-header">
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    ${isSelectMode ? `<input type="checkbox" id="select-${w.id}" class="word-checkbox" ${selectedWords.has(w.id) ? 'checked' : ''} tabindex="-1">` : ''}
+                    <div>
+                        <span class="word-title">${highlightSearchText(w.word)}</span>
+                        ${w.phonetic ? `<span class="word-phonetic">${escapeHtml(w.phonetic)}</span>` : ''}
+                        ${posTags}
+                        ${!isSelectMode ? `<button class="btn-pronounce" onclick="pronounceWord('${w.word}')" title="Pronounce (British)" aria-label="Pronounce (British)">${SPEAKER_ICON_SVG}</button>` : ''}
                     </div>
-                    <div class="word-meaning"${hideMeaning ? ' style="visibility:hidden;height:0;margin:0;overflow:hidden;"' : ''}>${w.meaning}</div>
-                    ${tagBadges}
-                    <div class="word-meta">Date: ${formatAddedDateLabel(w.added)}</div>
-                    ${!isSelectMode ? `<div class="word-actions">
-                        ${w.weight >= 0 ? `<button class="btn-remember" onclick="updateWeight(${originalIndex}, -1)">Down</button>` : ''}
-                        ${w.weight >= -1 && w.weight < 10 ? `<button class="btn-forget" onclick="updateWeight(${originalIndex}, 1)">Up</button>` : ''}
-                        ${isInvalid ? `<button class="btn-secondary" onclick="updateWeight(${originalIndex}, 3)">Fix</button>` : ''}
-                        <button class="btn-edit" onclick="openEditModal(${originalIndex})">Edit</button>
-                        <button class="btn-delete" onclick="deleteWord(${originalIndex})">Del</button>
-                    </div>` : ''}
                 </div>
-            `;
-        });
+                <div class="word-weight ${weightShapeClass}">${weightDisplay}</div>
+            </div>
+            <div class="word-meaning"${hideMeaning ? ' style="visibility:hidden;height:0;margin:0;overflow:hidden;"' : ''}>${renderWordMeaningHTML(w, highlightSearchText)}</div>
+            ${richDetails && !hideMeaning ? `<div class="word-details">${richDetails}</div>` : ''}
+            ${tagBadges}
+            <div class="word-meta">Date: ${formatAddedDateLabel(w.added)}${dueMeta}</div>
+            ${!isSelectMode ? `<div class="word-actions">
+                ${w.weight >= 0 ? `<button class="btn-remember" onclick="updateWeight('${w.id}', -1)">Down</button>` : ''}
+                ${w.weight >= -1 && w.weight < 10 ? `<button class="btn-forget" onclick="updateWeight('${w.id}', 1)">Up</button>` : ''}
+                ${isInvalid ? `<button class="btn-secondary" onclick="updateWeight('${w.id}', 3)">Fix</button>` : ''}
+                <button class="btn-edit" onclick="openEditModal('${w.id}')">Edit</button>
+                <button class="btn-edit" onclick="openWordHistory('${w.id}')">History</button>
+                <button class="btn-delete" onclick="deleteWord('${w.id}')">Del</button>
+            </div>` : ''}
+        </div>
+    `;
+}
 
-        html += `
-                </div>
+function _forgetWordCard(cacheKey) {
+    const cached = _wordCardCache.get(cacheKey);
+    if (!cached) return;
+    if (audioPreloadObserver) audioPreloadObserver.unobserve(cached.el);
+    cached.el.remove();
+    _wordCardCache.delete(cacheKey);
+}
+
+// Drop every managed group and card, e.g. before showing the empty state
+function resetWordListView() {
+    Array.from(_wordCardCache.keys()).forEach(_forgetWordCard);
+    _wordGroupViews.forEach(view => view.el.remove());
+    _wordGroupViews.clear();
+}
+
+function _getWordBatchObserver() {
+    if (!_wordBatchObserver) {
+        _wordBatchObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                const view = _wordGroupViews.get(entry.target.dataset.groupKey);
+                if (view) fillWordGroup(view, view.rendered + WORD_RENDER_BATCH);
+            });
+        }, { root: null, rootMargin: '400px 0px', threshold: 0 });
+    }
+    return _wordBatchObserver;
+}
+
+// Bring a group's first `count` cards in line with its word list, reusing unchanged cards
+function fillWordGroup(view, count) {
+    const isCollapsed = !view.content.classList.contains('expanded');
+    view.rendered = isCollapsed ? 0 : Math.min(view.words.length, Math.max(count, WORD_RENDER_BATCH));
+
+    const keep = new Set();
+    for (let i = 0; i < view.rendered; i++) {
+        const w = view.words[i];
+        const cacheKey = `${view.key}|${w.id}`;
+        const html = renderWordCardHTML(w);
+        let cached = _wordCardCache.get(cacheKey);
+        if (!cached || cached.html !== html) {
+            const el = _createElementFromHTML(html);
+            if (cached) {
+                if (audioPreloadObserver) audioPreloadObserver.unobserve(cached.el);
+                cached.el.replaceWith(el);
+            }
+            cached = { html, el };
+            _wordCardCache.set(cacheKey, cached);
+            if (audioPreloadObserver) audioPreloadObserver.observe(el);
+        }
+        if (view.cards.children[i] !== cached.el) {
+            view.cards.insertBefore(cached.el, view.cards.children[i] || null);
+        }
+        keep.add(cacheKey);
+    }
+
+    Array.from(view.cards.children).forEach(el => {
+        const cacheKey = `${view.key}|${el.dataset.wordId}`;
+        if (el !== view.sentinel && !keep.has(cacheKey)) _forgetWordCard(cacheKey);
+    });
+
+    // Re-observe the sentinel so a still-visible end of the group loads the next batch
+    const observer = _getWordBatchObserver();
+    observer.unobserve(view.sentinel);
+    if (view.rendered < view.words.length) {
+        view.cards.appendChild(view.sentinel);
+        observer.observe(view.sentinel);
+    } else {
+        view.sentinel.remove();
+    }
+}
+
+function _createWordGroupView(key) {
+    const el = _createElementFromHTML(`
+        <div class="word-group">
+            <div class="collapsible-header" onclick="toggleCollapse(this)">
+                <div class="group-header" style="margin-bottom: 0; border: none;"></div>
+                <div class="collapse-icon"></div>
             </div>
-        `;
+            <div class="collapsible-content">
+                <div class="word-group-cards"></div>
+                <div class="word-group-children"></div>
+            </div>
+        </div>
+    `);
+    el.dataset.groupKey = key;
+    const sentinel = document.createElement('div');
+    sentinel.className = 'word-list-sentinel';
+    sentinel.dataset.groupKey = key;
+    return {
+        key,
+        el,
+        label: el.querySelector('.group-header'),
+        icon: el.querySelector('.collapse-icon'),
+        content: el.querySelector('.collapsible-content'),
+        cards: el.querySelector('.word-group-cards'),
+        children: el.querySelector('.word-group-children'),
+        sentinel,
+        words: [],
+        rendered: 0
+    };
+}
+
+// Groups with a parentKey go inside the parent's content, after its own cards
+function renderWordGroups(container, groupEntries) {
+    // The empty state (or anything else not managed here) goes first
+    Array.from(container.children).forEach(el => {
+        if (!el.classList.contains('word-group')) el.remove();
     });
 
-    container.innerHTML = html;
-    updateBatchToolbar();
-    applyAudioPreloadSetting();
+    const keep = new Set();
+    const siblingCounts = new Map(); // parent element -> groups placed in it so far
+    groupEntries.forEach(({ key, parentKey, label, color, words: groupWords, count, collapsed }) => {
+        let view = _wordGroupViews.get(key);
+        if (!view) {
+            view = _createWordGroupView(key);
+            _wordGroupViews.set(key, view);
+        }
+        const isCollapsed = _groupCollapseState.has(key) ? _groupCollapseState.get(key) : collapsed;
+        view.label.textContent = `${label} (${count === undefined ? groupWords.length : count})`;
+        view.icon.textContent = isCollapsed ? '▼' : '▲';
+        view.content.classList.toggle('expanded', !isCollapsed);
+        view.el.classList.toggle('word-group-nested', Boolean(parentKey));
+        view.el.classList.toggle('colored', Boolean(color));
+        if (color) view.el.style.setProperty('--tag-color', color);
+        else view.el.style.removeProperty('--tag-color');
+        view.words = groupWords;
+        fillWordGroup(view, view.rendered);
+
+        const parentView = parentKey ? _wordGroupViews.get(parentKey) : null;
+        const parentEl = parentView ? parentView.children : container;
+        const i = siblingCounts.get(parentEl) || 0;
+        siblingCounts.set(parentEl, i + 1);
+        if (parentEl.children[i] !== view.el) {
+            parentEl.insertBefore(view.el, parentEl.children[i] || null);
+        }
+        keep.add(key);
+    });
+
+    Array.from(_wordGroupViews.keys()).forEach(key => {
+        if (keep.has(key)) return;
+        const view = _wordGroupViews.get(key);
+        view.words = [];
+        fillWordGroup(view, 0);
+        view.el.remove();
+        _wordGroupViews.delete(key);
+    });
 }
 
 // Toggle collapse
 function toggleCollapse(header) {
     const content = header.nextElementSibling;
     const icon = header.querySelector('.collapse-icon');
+    const group = header.closest('.word-group');
+    const view = group ? _wordGroupViews.get(group.dataset.groupKey) : null;
 
     if (content.classList.contains('expanded')) {
         content.classList.remove('expanded');
@@ -3112,11 +5417,18 @@ function toggleCollapse(header) {
         content.classList.add('expanded');
         icon.textContent = '▲';
     }
+
+    if (view) {
+        _groupCollapseState.set(view.key, !content.classList.contains('expanded'));
+        persistViewState();
+        fillWordGroup(view, view.rendered);
+    }
 }
 
 // Data persistence
 function saveData(showMessage = false, description = null) {
-    localStorage.setItem('wordMemoryData', JSON.stringify(words));
+    ensureWordIds(words);
+    wordStore.saveWords(words);
 
     // Create version if description is provided
     if (description && versionControl) {
@@ -3124,21 +5436,23 @@ function saveData(showMessage = false, description = null) {
     }
 
     if (showMessage) {
-        showStatus('Auto-saved to localStorage', 'success');
+        showStatus('Auto-saved', 'success');
     }
 }
 
 // Manual save
 function manualSave() {
-    localStorage.setItem('wordMemoryData', JSON.stringify(words));
+    wordStore.saveWords(words);
     showStatus(`Manually saved ${words.length} words`, 'success');
 }
 
-function loadData() {
-    const saved = localStorage.getItem('wordMemoryData');
-    if (saved) {
-        words = JSON.parse(saved);
-    }
+// Load words, tag registry and version history from storage
+async function loadData() {
+    if (!wordStore.db) await wordStore.open();
+    const stored = await wordStore.load();
+    words = Array.isArray(stored.words) ? stored.words : [];
+    tagRegistry = Array.isArray(stored.tagRegistry) ? stored.tagRegistry : [];
+    return stored;
 }
 
 // Export data
@@ -3167,6 +5481,7 @@ function buildFullExportData() {
         projectId,
         words: words,
         tagRegistry: tagRegistry,
+        reviewLog: reviewLog,
         versionHistory: {
             format: 'tree-v2',
             versions: Object.fromEntries(versionControl.versions),
@@ -3266,12 +5581,16 @@ function processImportedWords(imported) {
         if (!item.word || typeof item.word !== 'string' || item.word.trim() === '') {
             invalidCount++;
             return {
+                id: item.id,
                 word: item.word || '[no word]',
                 meaning: item.meaning || '',
                 pos: posArray,
                 weight: -3,
                 added: item.added || new Date().toISOString().split('T')[0],
-                joinedAt: item.joinedAt || undefined
+                joinedAt: item.joinedAt || undefined,
+                tags: item.tags || undefined,
+                srs: item.srs || undefined,
+                ...normalizeRichFields(item)
             };
         }
 
@@ -3280,27 +5599,37 @@ function processImportedWords(imported) {
         if (isNaN(weight) || weight < -2) {
             invalidCount++;
             return {
+                id: item.id,
                 word: item.word.toLowerCase(),
                 meaning: item.meaning || '',
                 pos: posArray,
                 weight: -3,
                 added: item.added || new Date().toISOString().split('T')[0],
-                joinedAt: item.joinedAt || undefined
+                joinedAt: item.joinedAt || undefined,
+                tags: item.tags || undefined,
+                srs: item.srs || undefined,
+                ...normalizeRichFields(item)
             };
         }
 
         // Valid word
         validCount++;
         return {
+            id: item.id,
             word: item.word.toLowerCase(),
             meaning: item.meaning || '',
             pos: posArray,
             weight: weight,
             added: item.added || new Date().toISOString().split('T')[0],
-            joinedAt: item.joinedAt || undefined
+            joinedAt: item.joinedAt || undefined,
+            tags: item.tags || undefined,
+            srs: item.srs || undefined,
+            ...normalizeRichFields(item)
         };
     });
 
+    ensureWordSenses(processed);
+    ensureWordIds(processed);
     return { processed, validCount, invalidCount };
 }
 
@@ -3335,7 +5664,7 @@ function importAsOverwrite(wordsData, description, importedTagRegistry) {
     const { processed } = processImportedWords(wordsData);
     words = processed;
     _applyImportedTagRegistry(importedTagRegistry);
-    localStorage.setItem('wordMemoryData', JSON.stringify(words));
+    wordStore.saveWords(words);
     if (versionControl) {
         versionControl.createVersion(words, description || `Overwrite import (${processed.length} words)`);
     }
@@ -3353,12 +5682,15 @@ function importWithVersionHistory(importedData) {
     const resolvedData = currentVersion ? versionControl.resolveData(newCurrentId) : null;
     if (resolvedData) {
         words = JSON.parse(JSON.stringify(resolvedData));
+        ensureWordSenses(words);
+        ensureWordIds(words);
     } else {
         const { processed } = processImportedWords(importedData.words);
         words = processed;
     }
     _applyImportedTagRegistry(importedData.tagRegistry);
-    localStorage.setItem('wordMemoryData', JSON.stringify(words));
+    _applyImportedReviewLog(importedData.reviewLog);
+    wordStore.saveWords(words);
     renderWords();
     updateHistoryButtonLabel();
     showStatus(`Forked: imported ${importedVersionCount} version(s) as new branch`, 'success');
@@ -3376,16 +5708,284 @@ function importReplaceWithVersionHistory(importedData) {
     const currentVersion = versionControl.versions.get(versionControl.currentId);
     const resolvedData = currentVersion ? versionControl.resolveData(versionControl.currentId) : null;
     words = resolvedData ? JSON.parse(JSON.stringify(resolvedData)) : processed;
+    ensureWordSenses(words);
+    ensureWordIds(words);
     _applyImportedTagRegistry(importedData.tagRegistry);
-    if (importedData.projectId) {
-        setProjectId(importedData.projectId);
+    _applyImportedReviewLog(importedData.reviewLog, true);
+    // Adopt the exported book ID unless another book already uses it
+    const importedBookId = String(importedData.projectId || '').trim();
+    if (importedBookId && !validateBookId(importedBookId, getProjectId())) {
+        renameBook(getProjectId(), importedBookId);
     }
-    localStorage.setItem('wordMemoryData', JSON.stringify(words));
+    wordStore.saveWords(words);
     renderWords();
     updateHistoryButtonLabel();
     showStatus(`Replaced: imported ${versionControl.versions.size} version(s)`, 'success');
 }
 
+// ========================================
+// Merge Import & Conflict Resolution
+// ========================================
+
+// meaning/pos are derived from senses, so senses stand in for both
+const MERGE_FIELDS = [
+    { key: 'senses', label: 'Senses' },
+    { key: 'weight', label: 'Weight' },
+    { key: 'tags', label: 'Tags' },
+    { key: 'phonetic', label: 'Phonetic' },
+    { key: 'synonyms', label: 'Synonyms' },
+    { key: 'antonyms', label: 'Antonyms' },
+    { key: 'notes', label: 'Notes' }
+];
+
+// Fields compared as unordered sets
+const SET_MERGE_FIELDS = ['pos', 'tags', 'synonyms', 'antonyms'];
+
+let _conflictResolver = null; // { resolve, conflicts }
+
+function _sameValueSet(a, b) {
+    const setA = new Set(Array.isArray(a) ? a : []);
+    const setB = new Set(Array.isArray(b) ? b : []);
+    return setA.size === setB.size && Array.from(setA).every(v => setB.has(v));
+}
+
+function isMergeFieldEqual(key, a, b) {
+    if (SET_MERGE_FIELDS.includes(key)) return _sameValueSet(a, b);
+    if (key === 'senses') return JSON.stringify(a || []) === JSON.stringify(b || []);
+    return (a ?? '') === (b ?? '');
+}
+
+// Field keys whose values differ between two entries of the same word
+// (entries without senses, e.g. from old versions, are compared by their derived senses)
+function getWordFieldDifferences(a, b) {
+    const wa = withWordSenses(a);
+    const wb = withWordSenses(b);
+    return MERGE_FIELDS.map(f => f.key).filter(key => !isMergeFieldEqual(key, wa[key], wb[key]));
+}
+
+// Map word -> index of its first occurrence
+function indexWordsBy(list, keyFn = w => w.word) {
+    const index = new Map();
+    list.forEach((w, i) => {
+        const key = keyFn(w);
+        if (!index.has(key)) index.set(key, i);
+    });
+    return index;
+}
+
+// Union an imported tag registry into the local one by name (case-insensitive).
+// Returns { idMap: importedId -> localId, additions: entries to append } without changing tagRegistry.
+function planTagRegistryUnion(importedRegistry) {
+    const idMap = new Map();
+    const additions = [];
+    const usedIds = new Set(tagRegistry.map(t => t.id));
+    (Array.isArray(importedRegistry) ? importedRegistry : []).forEach(tag => {
+        if (!tag || !tag.id || !tag.name) return;
+        const name = String(tag.name).trim();
+        const lower = name.toLowerCase();
+        const existingId = getTagId(name)
+            || (additions.find(t => t.name.toLowerCase() === lower) || {}).id;
+        if (existingId) {
+            idMap.set(tag.id, existingId);
+            return;
+        }
+        const id = usedIds.has(tag.id) ? generateTagId() : tag.id;
+        usedIds.add(id);
+        additions.push({ ...tag, id, name });
+        idMap.set(tag.id, id);
+    });
+    // Nesting refers to imported ids; point it at the local ones
+    additions.forEach(tag => {
+        if (!tag.parentId) return;
+        if (idMap.has(tag.parentId)) tag.parentId = idMap.get(tag.parentId);
+        else delete tag.parentId;
+    });
+    return { idMap, additions };
+}
+
+function formatMergeFieldValue(key, value, tagNameOf = getTagName) {
+    if (key === 'pos' || key === 'synonyms' || key === 'antonyms') return Array.isArray(value) && value.length ? value.join(', ') : '—';
+    if (key === 'senses') {
+        const list = Array.isArray(value) ? value : [];
+        return list.length ? list.map(s => (s.pos ? `${s.pos}. ` : '') + s.meaning).join('; ') : '—';
+    }
+    if (key === 'tags') {
+        const names = (Array.isArray(value) ? value : []).map(tagNameOf).filter(Boolean);
+        return names.length ? names.join(', ') : '—';
+    }
+    if (key === 'weight') return `${value} (${getWeightLabel(value)})`;
+    return value ? String(value) : '—';
+}
+
+// Returns a copy of local with each differing field taken from local, incoming or (tags only) both
+function applyFieldResolution(local, incoming, choices) {
+    const merged = { ...local };
+    Object.entries(choices).forEach(([key, choice]) => {
+        if (choice === 'incoming') {
+            merged[key] = Array.isArray(incoming[key]) ? [...incoming[key]] : incoming[key];
+        } else if (choice === 'both' && key === 'tags') {
+            merged.tags = Array.from(new Set([...(local.tags || []), ...(incoming.tags || [])]));
+        }
+    });
+    return syncSenseSummary(merged);
+}
+
+// Pseudo-field for a word deleted on one side and changed on the other (that side is null)
+const WORD_PRESENCE_FIELD = 'presence';
+
+// Show a per-field conflict table.
+// conflicts: [{ word, fields: [fieldKey], local, incoming }]
+// Resolves to an array of { fieldKey: 'local' | 'incoming' | 'both' } (same order), or null if cancelled.
+function resolveWordConflicts({
+    title = 'Resolve Conflicts',
+    summary = '',
+    conflicts = [],
+    labels = { local: 'Current', incoming: 'Imported' },
+    tagNameOf = getTagName,
+    confirmText = 'Apply'
+} = {}) {
+    const modal = document.getElementById('conflictModal');
+    if (!modal) return Promise.resolve(null);
+
+    if (_conflictResolver) _conflictResolver.resolve(null);
+
+    document.getElementById('conflictModalTitle').textContent = title;
+    document.getElementById('conflictModalSummary').textContent = summary;
+    document.getElementById('conflictModalConfirmBtn').textContent = confirmText;
+    document.getElementById('conflictLocalAllBtn').textContent = `All ${labels.local}`;
+    document.getElementById('conflictIncomingAllBtn').textContent = `All ${labels.incoming}`;
+
+    const rows = conflicts.map((conflict, i) => conflict.fields.map((key, fieldIndex) => {
+        const field = MERGE_FIELDS.find(f => f.key === key);
+        const name = `conflict-${i}-${key}`;
+        const option = (value, text, checked = false) =>
+            `<label class="conflict-choice"><input type="radio" name="${name}" value="${value}"${checked ? ' checked' : ''}><span>${escapeHtml(text)}</span></label>`;
+        const wordCell = fieldIndex === 0
+            ? `<td class="conflict-word" rowspan="${conflict.fields.length}">${escapeHtml(conflict.word)}</td>`
+            : '';
+        const bothOption = key === 'tags' ? option('both', 'Both') : '';
+        const valueText = side => key === WORD_PRESENCE_FIELD
+            ? (conflict[side] ? 'Keep (changed)' : 'Delete')
+            : formatMergeFieldValue(key, conflict[side][key], tagNameOf);
+        const fieldLabel = key === WORD_PRESENCE_FIELD ? 'Deleted / changed' : field ? field.label : key;
+        return `<tr>${wordCell}<td class="conflict-field">${fieldLabel}</td>`
+            + `<td>${option('local', valueText('local'), true)}</td>`
+            + `<td>${option('incoming', valueText('incoming'))}${bothOption}</td></tr>`;
+    }).join('')).join('');
+
+    document.getElementById('conflictModalTable').innerHTML =
+        `<thead><tr><th>Word</th><th>Field</th><th>${escapeHtml(labels.local)}</th><th>${escapeHtml(labels.incoming)}</th></tr></thead><tbody>${rows}</tbody>`;
+
+    return new Promise(resolve => {
+        _conflictResolver = { resolve, conflicts };
+        modal.classList.add('active');
+    }).finally(() => {
+        _conflictResolver = null;
+        modal.classList.remove('active');
+    });
+}
+
+function setAllConflictChoices(value) {
+    document.querySelectorAll(`#conflictModalTable input[type="radio"][value="${value}"]`).forEach(input => {
+        input.checked = true;
+    });
+}
+
+function confirmConflictResolution() {
+    if (!_conflictResolver) return;
+    const table = document.getElementById('conflictModalTable');
+    const resolutions = _conflictResolver.conflicts.map((conflict, i) => {
+        const choices = {};
+        conflict.fields.forEach(key => {
+            const checked = table.querySelector(`input[name="conflict-${i}-${key}"]:checked`);
+            choices[key] = checked ? checked.value : 'local';
+        });
+        return choices;
+    });
+    _conflictResolver.resolve(resolutions);
+}
+
+function cancelConflictResolution() {
+    if (_conflictResolver) _conflictResolver.resolve(null);
+}
+
+// Merge imported words into the current list by word; new words are appended,
+// differing ones go through the conflict table, and tag registries are unioned by name
+async function mergeImportedWords(importedWords, importedTagRegistry) {
+    const { idMap, additions } = planTagRegistryUnion(importedTagRegistry);
+    const tagNameOf = id => getTagName(id) || (additions.find(t => t.id === id) || {}).name || '';
+    const { processed, invalidCount } = processImportedWords(importedWords);
+
+    const localIndex = indexWordsBy(words, w => normalizeWordKey(w.word));
+    const seen = new Set();
+    const added = [];
+    const conflicts = [];
+    let unchanged = 0;
+    processed.forEach(w => {
+        const key = normalizeWordKey(w.word);
+        if (w.weight < -2 || seen.has(key)) return;
+        seen.add(key);
+        const incoming = { ...w, tags: (w.tags || []).map(id => idMap.get(id) || id).filter(id => tagNameOf(id)) };
+        const index = localIndex.get(key);
+        if (index === undefined) {
+            added.push(incoming);
+            return;
+        }
+        const fields = getWordFieldDifferences(words[index], incoming);
+        if (fields.length === 0) {
+            unchanged++;
+        } else {
+            conflicts.push({ localId: words[index].id, word: w.word, fields, local: words[index], incoming });
+        }
+    });
+
+    if (added.length === 0 && conflicts.length === 0 && additions.length === 0) {
+        showStatus('Nothing to merge: all imported words already match', 'success');
+        return;
+    }
+
+    const summary = `${added.length} new, ${conflicts.length} conflicting, ${unchanged} identical`;
+    let resolutions = [];
+    if (conflicts.length > 0) {
+        resolutions = await resolveWordConflicts({ title: 'Merge Import', summary, conflicts, tagNameOf, confirmText: 'Merge' });
+        if (!resolutions) return;
+    } else {
+        const confirmed = await showInPageConfirm({
+            title: 'Merge Import',
+            message: `${summary}. Add the new words?`,
+            confirmText: 'Merge'
+        });
+        if (!confirmed) return;
+    }
+
+    if (additions.length > 0) {
+        tagRegistry.push(...additions);
+        saveTagRegistry();
+    }
+    // words may have changed while the conflict table was open; find each word again by id
+    let updated = 0;
+    conflicts.forEach((conflict, i) => {
+        const index = getWordIndexById(conflict.localId);
+        if (index === -1) return;
+        const merged = applyFieldResolution(words[index], conflict.incoming, resolutions[i]);
+        if (getWordFieldDifferences(words[index], merged).length > 0) updated++;
+        words[index] = merged;
+    });
+    words = words.concat(added);
+
+    saveData(false, `Merge import (${added.length} new, ${updated} updated)`);
+    enforceGroupModeByTagAvailability();
+    renderWords();
+    updateHistoryButtonLabel();
+    const invalidNote = invalidCount > 0 ? `, ${invalidCount} invalid skipped` : '';
+    showStatus(`Merged: ${added.length} new, ${updated} updated${invalidNote}`, 'success');
+}
+
+bindModalBackdropPressReleaseClose(
+    document.getElementById('conflictModal'),
+    cancelConflictResolution
+);
+
 function isJsonImportFile(file) {
     if (!file) return false;
 
@@ -3398,8 +5998,13 @@ function isJsonImportFile(file) {
 async function importDataFromFile(file) {
     if (!file) return;
 
+    if (isDelimitedImportFile(file)) {
+        await openCsvImport(file);
+        return;
+    }
+
     if (!isJsonImportFile(file)) {
-        showStatus('Only JSON files can be imported', 'error');
+        showStatus('Only JSON, CSV or TSV files can be imported', 'error');
         return;
     }
 
@@ -3438,53 +6043,817 @@ async function importDataFromFile(file) {
                 message: `${imported.words.length} words, ${versionCount} version(s)`,
                 choices: [
                     { text: 'Fork', value: 'fork' },
+                    { text: 'Merge', value: 'merge' },
                     { text: 'Replace', value: 'replace', tone: 'danger' }
                 ]
             });
             if (choice === 'fork') {
                 importWithVersionHistory(imported);
+            } else if (choice === 'merge') {
+                await mergeImportedWords(imported.words, imported.tagRegistry);
             } else if (choice === 'replace') {
                 importReplaceWithVersionHistory(imported);
             }
         } else if (Array.isArray(imported)) {
             // Old format - words array only
-            const shouldImportWordsOnly = await showInPageConfirm({
+            const choice = await showInPageChoice({
                 title: 'Import Words',
-                message: `Import ${imported.length} words? This will overwrite current data and clear version history.`,
-                confirmText: 'Import',
-                cancelText: 'Cancel'
+                message: `Import ${imported.length} words? Merge adds them to the current list; Overwrite replaces current data and clears version history.`,
+                choices: [
+                    { text: 'Merge', value: 'merge' },
+                    { text: 'Overwrite', value: 'overwrite', tone: 'danger' }
+                ]
             });
-            if (shouldImportWordsOnly) {
+            if (choice === 'merge') {
+                await mergeImportedWords(imported);
+            } else if (choice === 'overwrite') {
                 importWordsOnly(imported);
             }
-        } else if (imported && imported.words && Array.isArray(imported.words)) {
-            const shouldOverwrite = await showInPageConfirm({
-                title: 'Import as Branch',
-                message: `Import ${imported.words.length} words as a new branch in version history?`,
-                confirmText: 'Import',
-                cancelText: 'Cancel'
+        } else if (imported && imported.words && Array.isArray(imported.words)) {
+            const choice = await showInPageChoice({
+                title: 'Import Words',
+                message: `Import ${imported.words.length} words? Merge adds them to the current list; Branch replaces it in a new version branch.`,
+                choices: [
+                    { text: 'Merge', value: 'merge' },
+                    { text: 'Branch', value: 'branch' }
+                ]
+            });
+            if (choice === 'merge') {
+                await mergeImportedWords(imported.words, imported.tagRegistry);
+            } else if (choice === 'branch') {
+                importAsOverwrite(imported.words, `Import fork (${imported.words.length} words)`, imported.tagRegistry);
+            }
+        } else {
+            showStatus('Invalid file format', 'error');
+        }
+    } catch (error) {
+        showStatus('Failed to parse file', 'error');
+    }
+}
+
+// Import data (enhanced with version history and projectId support)
+async function importData(event) {
+    const input = event && event.target ? event.target : null;
+    const file = input && input.files ? input.files[0] : null;
+    if (!file) return;
+
+    await importDataFromFile(file);
+
+    if (input) {
+        input.value = '';
+    }
+}
+
+// ========================================
+// CSV / TSV Import & Export
+// ========================================
+
+const CSV_IMPORT_FIELDS = [
+    { key: 'word', label: 'Word', aliases: ['word', 'term', 'front', 'vocabulary', 'english'] },
+    { key: 'meaning', label: 'Meaning', aliases: ['meaning', 'definition', 'translation', 'back', 'gloss'] },
+    { key: 'pos', label: 'POS', aliases: ['pos', 'part of speech', 'part-of-speech', 'type'] },
+    { key: 'weight', label: 'Weight', aliases: ['weight', 'level', 'difficulty'] },
+    { key: 'added', label: 'Added', aliases: ['added', 'date', 'date added', 'created'] },
+    { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels', 'category'] }
+];
+const CSV_PREVIEW_ROWS = 8;
+const CSV_DEFAULT_WEIGHT = 3;
+
+let _csvImportState = null; // { fileName, rows, hasHeader, mapping: [fieldKey | ''] per column }
+
+function isDelimitedImportFile(file) {
+    if (!file) return false;
+
+    const type = String(file.type || '').toLowerCase();
+    const name = String(file.name || '').toLowerCase();
+
+    return type === 'text/csv' || type === 'text/tab-separated-values'
+        || name.endsWith('.csv') || name.endsWith('.tsv');
+}
+
+// Tab if the first line has tabs, otherwise semicolon if it has more of those than commas
+function detectCsvDelimiter(text, fileName = '') {
+    if (fileName.toLowerCase().endsWith('.tsv')) return '\t';
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    if (firstLine.includes('\t')) return '\t';
+    const commas = (firstLine.match(/,/g) || []).length;
+    const semicolons = (firstLine.match(/;/g) || []).length;
+    return semicolons > commas ? ';' : ',';
+}
+
+// RFC 4180 style: quoted fields may contain delimiters, newlines and "" escapes
+function parseDelimitedText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function _csvFieldForHeader(header) {
+    const normalized = String(header || '').trim().toLowerCase();
+    const field = CSV_IMPORT_FIELDS.find(f => f.aliases.includes(normalized));
+    return field ? field.key : '';
+}
+
+// Map columns by header name, or by position (word, meaning, ...) without a header
+function guessCsvMapping(rows, hasHeader) {
+    const columnCount = Math.max(0, ...rows.map(r => r.length));
+    const mapping = [];
+    for (let col = 0; col < columnCount; col++) {
+        let key = hasHeader ? _csvFieldForHeader(rows[0][col]) : (CSV_IMPORT_FIELDS[col] ? CSV_IMPORT_FIELDS[col].key : '');
+        if (mapping.includes(key)) key = '';
+        mapping.push(key);
+    }
+    return mapping;
+}
+
+function _normalizeCsvDate(value) {
+    const trimmed = String(value || '').trim();
+    if (!trimmed) return undefined;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return trimmed;
+    const date = new Date(trimmed);
+    if (Number.isNaN(date.getTime())) return undefined;
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const dd = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+// Turn mapped rows into word items for processImportedWords; tags stay as names
+function buildWordsFromCsvRows(rows, mapping) {
+    return rows.map(row => {
+        const cell = key => {
+            const col = mapping.indexOf(key);
+            return col >= 0 ? String(row[col] || '').trim() : '';
+        };
+        const weightText = cell('weight');
+        return {
+            word: cell('word'),
+            meaning: cell('meaning'),
+            pos: cell('pos').split(/[\s,;/|]+/).map(p => p.replace(/\.$/, '').toLowerCase()).filter(Boolean),
+            weight: weightText === '' ? CSV_DEFAULT_WEIGHT : weightText,
+            added: _normalizeCsvDate(cell('added')),
+            tags: cell('tags').split(/[,;|]/).map(t => t.trim()).filter(Boolean)
+        };
+    });
+}
+
+async function openCsvImport(file) {
+    let text;
+    try {
+        text = await file.text();
+    } catch (error) {
+        showStatus('Failed to read file', 'error');
+        return;
+    }
+
+    const rows = parseDelimitedText(text, detectCsvDelimiter(text, file.name));
+    if (rows.length === 0) {
+        showStatus('No rows found in file', 'error');
+        return;
+    }
+
+    const hasHeader = rows[0].some(cell => _csvFieldForHeader(cell) !== '');
+    _csvImportState = {
+        fileName: file.name,
+        rows,
+        hasHeader,
+        mapping: guessCsvMapping(rows, hasHeader)
+    };
+    document.getElementById('csvHasHeaderInput').checked = hasHeader;
+    const appendInput = document.querySelector('input[name="csvImportMode"][value="append"]');
+    if (appendInput) appendInput.checked = true;
+    renderCsvImportPreview();
+    document.getElementById('csvImportModal').classList.add('active');
+}
+
+function closeCsvImportModal() {
+    document.getElementById('csvImportModal').classList.remove('active');
+    _csvImportState = null;
+}
+
+function toggleCsvHeaderRow(checked) {
+    if (!_csvImportState) return;
+    _csvImportState.hasHeader = checked;
+    _csvImportState.mapping = guessCsvMapping(_csvImportState.rows, checked);
+    renderCsvImportPreview();
+}
+
+// Each field maps to at most one column
+function setCsvColumnMapping(col, key) {
+    if (!_csvImportState) return;
+    const mapping = _csvImportState.mapping;
+    if (key) {
+        const previous = mapping.indexOf(key);
+        if (previous >= 0) mapping[previous] = '';
+    }
+    mapping[col] = key;
+    renderCsvImportPreview();
+}
+
+function _getCsvDataRows() {
+    return _csvImportState.hasHeader ? _csvImportState.rows.slice(1) : _csvImportState.rows;
+}
+
+function renderCsvImportPreview() {
+    if (!_csvImportState) return;
+    const { fileName, rows, hasHeader, mapping } = _csvImportState;
+    const dataRows = _getCsvDataRows();
+
+    const mapSelects = mapping.map((key, col) => {
+        const options = [`<option value="">Ignore</option>`].concat(CSV_IMPORT_FIELDS.map(f =>
+            `<option value="${f.key}"${f.key === key ? ' selected' : ''}>${f.label}</option>`
+        )).join('');
+        return `<th><select class="csv-map-select${key ? ' mapped' : ''}" onchange="setCsvColumnMapping(${col}, this.value)">${options}</select></th>`;
+    }).join('');
+    const headerRow = hasHeader
+        ? `<tr class="csv-header-row">${mapping.map((_, col) => `<th>${escapeHtml(rows[0][col] || '')}</th>`).join('')}</tr>`
+        : '';
+    const bodyRows = dataRows.slice(0, CSV_PREVIEW_ROWS).map(row =>
+        `<tr>${mapping.map((key, col) => `<td class="${key ? '' : 'csv-ignored'}">${escapeHtml(row[col] || '')}</td>`).join('')}</tr>`
+    ).join('');
+
+    document.getElementById('csvImportTable').innerHTML =
+        `<thead><tr>${mapSelects}</tr>${headerRow}</thead><tbody>${bodyRows}</tbody>`;
+
+    const more = dataRows.length > CSV_PREVIEW_ROWS ? ` (showing first ${CSV_PREVIEW_ROWS})` : '';
+    document.getElementById('csvImportInfo').textContent = `${fileName}: ${dataRows.length} row(s)${more}`;
+
+    const hasWordColumn = mapping.includes('word');
+    const summaryEl = document.getElementById('csvImportSummary');
+    summaryEl.textContent = hasWordColumn ? '' : 'Map one column to Word to import';
+    summaryEl.classList.toggle('error', !hasWordColumn);
+    document.getElementById('csvImportConfirmBtn').disabled = !hasWordColumn || dataRows.length === 0;
+}
+
+function confirmCsvImport() {
+    if (!_csvImportState || !_csvImportState.mapping.includes('word')) return;
+
+    const modeInput = document.querySelector('input[name="csvImportMode"]:checked');
+    const mode = modeInput ? modeInput.value : 'append';
+    const items = buildWordsFromCsvRows(_getCsvDataRows(), _csvImportState.mapping);
+    const fileName = _csvImportState.fileName;
+
+    // Tags stay as names until the rows to import are known, so skipped rows leave no empty tags
+    const { processed, invalidCount } = processImportedWords(items);
+
+    let imported = processed;
+    let skipped = 0;
+    if (mode !== 'replace') {
+        const existing = new Set(words.map(w => normalizeWordKey(w.word)));
+        imported = processed.filter(w => !existing.has(normalizeWordKey(w.word)));
+        skipped = processed.length - imported.length;
+    }
+    imported.forEach(w => {
+        if (w.tags) w.tags = w.tags.map(name => createTag(name)).filter(Boolean);
+    });
+    words = mode === 'replace' ? imported : words.concat(imported);
+
+    closeCsvImportModal();
+    saveData(false, `CSV import (${imported.length} words)`);
+    enforceGroupModeByTagAvailability();
+    renderWords();
+    updateHistoryButtonLabel();
+
+    const notes = [];
+    if (skipped > 0) notes.push(`${skipped} already in list`);
+    if (invalidCount > 0) notes.push(`${invalidCount} invalid`);
+    const duplicateGroups = findDuplicateGroups(words).length;
+    if (duplicateGroups > 0) notes.push(`${duplicateGroups} possible duplicate group(s)`);
+    showStatus(`Imported ${imported.length} words from ${fileName}${notes.length ? ` (${notes.join(', ')})` : ''}`, 'success');
+}
+
+function _toCsvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportCsv() {
+    const header = CSV_IMPORT_FIELDS.map(f => f.key);
+    const lines = words.map(w => [
+        w.word,
+        w.meaning || '',
+        (Array.isArray(w.pos) ? w.pos : []).join(' '),
+        w.weight,
+        w.added || '',
+        (w.tags || []).map(getTagName).filter(Boolean).join('; ')
+    ].map(_toCsvCell).join(','));
+
+    // BOM so spreadsheet apps detect UTF-8
+    const csv = '\uFEFF' + [header.join(',')].concat(lines).join('\r\n');
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `wordlist-${toSafeFilenamePart(getProjectId())}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+    showStatus(`Exported ${words.length} words as CSV`, 'success');
+}
+
+bindModalBackdropPressReleaseClose(
+    document.getElementById('csvImportModal'),
+    closeCsvImportModal
+);
+
+// ========================================
+// Anki Export (.apkg)
+// ========================================
+
+// An .apkg is a zip holding an Anki (schema 11) SQLite collection and a media map.
+// Both are written here byte by byte so the export works without any library.
+
+const SQLITE_PAGE_SIZE = 4096;
+const ANKI_MODEL_ID = 1718236800000; // fixed so repeated exports reuse one note type
+const ANKI_FIELD_SEPARATOR = '\x1f';
+const ANKI_SCHEMA_SQL = {
+    col: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+    notes: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+    cards: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+    revlog: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+    graves: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)'
+};
+
+const _utf8Encoder = new TextEncoder();
+
+function _concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
+
+// Big-endian unsigned/two's complement integer of len bytes (|n| < 2^53)
+function _intToBytes(n, len) {
+    let v = n < 0 ? 2 ** (len * 8) + n : n;
+    const out = new Uint8Array(len);
+    for (let i = len - 1; i >= 0; i--) {
+        out[i] = v % 256;
+        v = Math.floor(v / 256);
+    }
+    return out;
+}
+
+// SQLite varint for non-negative integers below 2^53
+function encodeSqliteVarint(value) {
+    const groups = [];
+    let v = value;
+    do {
+        groups.unshift(v % 128);
+        v = Math.floor(v / 128);
+    } while (v > 0);
+    return Uint8Array.from(groups, (b, i) => (i < groups.length - 1 ? b | 0x80 : b));
+}
+
+function _sqliteIntegerColumn(n) {
+    if (n === 0) return { type: 8, bytes: new Uint8Array(0) };
+    if (n === 1) return { type: 9, bytes: new Uint8Array(0) };
+    const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+    for (const [type, len] of sizes) {
+        const limit = 2 ** (len * 8 - 1);
+        if (n >= -limit && n < limit) return { type, bytes: _intToBytes(n, len) };
+    }
+    throw new RangeError(`Integer out of range: ${n}`);
+}
+
+// Record format: header (size + serial types) followed by column bodies
+function encodeSqliteRecord(values) {
+    const types = [];
+    const bodies = [];
+    values.forEach(value => {
+        if (value === null) {
+            types.push(0);
+        } else if (typeof value === 'number') {
+            const column = _sqliteIntegerColumn(value);
+            types.push(column.type);
+            bodies.push(column.bytes);
+        } else {
+            const bytes = _utf8Encoder.encode(String(value));
+            types.push(13 + bytes.length * 2);
+            bodies.push(bytes);
+        }
+    });
+    const typeBytes = _concatBytes(types.map(encodeSqliteVarint));
+    let headerSize = typeBytes.length + 1;
+    if (encodeSqliteVarint(headerSize).length > 1) headerSize++;
+    return _concatBytes([encodeSqliteVarint(headerSize), typeBytes, ...bodies]);
+}
+
+class SqliteFileBuilder {
+    constructor() {
+        this.pages = [new Uint8Array(SQLITE_PAGE_SIZE)]; // page 1 is filled last
+        this.master = [];
+    }
+
+    _allocPage() {
+        this.pages.push(new Uint8Array(SQLITE_PAGE_SIZE));
+        return this.pages.length; // 1-based page number
+    }
+
+    // Leaf cell: payload size, rowid, local payload and the first overflow page if any
+    _leafCell(rowid, payload) {
+        const usable = SQLITE_PAGE_SIZE;
+        const maxLocal = usable - 35;
+        const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+        const head = [encodeSqliteVarint(payload.length), encodeSqliteVarint(rowid)];
+        if (payload.length <= maxLocal) return _concatBytes([...head, payload]);
+
+        const k = minLocal + (payload.length - minLocal) % (usable - 4);
+        const localSize = k <= maxLocal ? k : minLocal;
+        let rest = payload.subarray(localSize);
+        const firstOverflow = this._allocPage();
+        let pageNo = firstOverflow;
+        while (rest.length > 0) {
+            const chunk = rest.subarray(0, usable - 4);
+            rest = rest.subarray(chunk.length);
+            const page = this.pages[pageNo - 1];
+            const nextPageNo = rest.length > 0 ? this._allocPage() : 0;
+            page.set(_intToBytes(nextPageNo, 4), 0);
+            page.set(chunk, 4);
+            pageNo = nextPageNo;
+        }
+        return _concatBytes([...head, payload.subarray(0, localSize), _intToBytes(firstOverflow, 4)]);
+    }
+
+    _writePage(pageNo, type, cells, rightPointer = 0) {
+        const page = this.pages[pageNo - 1];
+        const offset = pageNo === 1 ? 100 : 0;
+        const headerSize = type === 0x05 ? 12 : 8;
+        const view = new DataView(page.buffer);
+        let contentStart = SQLITE_PAGE_SIZE;
+        cells.forEach((cell, i) => {
+            contentStart -= cell.length;
+            page.set(cell, contentStart);
+            view.setUint16(offset + headerSize + i * 2, contentStart);
+        });
+        page[offset] = type;
+        view.setUint16(offset + 3, cells.length);
+        view.setUint16(offset + 5, contentStart);
+        if (type === 0x05) view.setUint32(offset + 8, rightPointer);
+    }
+
+    // Packs rows ({ rowid, values } sorted by rowid) into leaf pages and interior levels; returns the root page
+    _writeTable(rows, rootPageNo = null) {
+        const pageCapacity = rootPageNo === 1 ? SQLITE_PAGE_SIZE - 100 : SQLITE_PAGE_SIZE;
+        let level = [];
+        let cells = [];
+        let used = 8;
+        let maxRowid = 0;
+        const flushLeaf = (pageNo = this._allocPage()) => {
+            this._writePage(pageNo, 0x0d, cells);
+            level.push({ pageNo, maxRowid });
+            cells = [];
+            used = 8;
+        };
+
+        rows.forEach(row => {
+            const cell = this._leafCell(row.rowid, encodeSqliteRecord(row.values));
+            if (cells.length > 0 && used + cell.length + 2 > pageCapacity) {
+                if (rootPageNo === 1) throw new Error('Schema does not fit on the first page');
+                flushLeaf();
+            }
+            cells.push(cell);
+            used += cell.length + 2;
+            maxRowid = row.rowid;
+        });
+        if (rootPageNo === 1) {
+            flushLeaf(1);
+            return 1;
+        }
+        flushLeaf();
+
+        while (level.length > 1) {
+            const parents = [];
+            let children = [];
+            let interiorUsed = 12;
+            const flushInterior = () => {
+                const pageNo = this._allocPage();
+                const last = children[children.length - 1];
+                const interiorCells = children.slice(0, -1).map(child =>
+                    _concatBytes([_intToBytes(child.pageNo, 4), encodeSqliteVarint(child.maxRowid)])
+                );
+                this._writePage(pageNo, 0x05, interiorCells, last.pageNo);
+                parents.push({ pageNo, maxRowid: last.maxRowid });
+                children = [];
+                interiorUsed = 12;
+            };
+            level.forEach(child => {
+                const cellSize = 4 + encodeSqliteVarint(child.maxRowid).length + 2;
+                if (children.length > 1 && interiorUsed + cellSize > SQLITE_PAGE_SIZE) flushInterior();
+                children.push(child);
+                interiorUsed += cellSize;
             });
-            if (shouldOverwrite) {
-                importAsOverwrite(imported.words, `Import fork (${imported.words.length} words)`, imported.tagRegistry);
-            }
-        } else {
-            showStatus('Invalid file format', 'error');
+            flushInterior();
+            level = parents;
+        }
+        return level[0].pageNo;
+    }
+
+    addTable(name, sql, rows) {
+        const rootPage = this._writeTable(rows);
+        this.master.push({ rowid: this.master.length + 1, values: ['table', name, name, rootPage, sql] });
+    }
+
+    toBytes() {
+        this._writeTable(this.master, 1);
+        const header = this.pages[0];
+        const view = new DataView(header.buffer);
+        header.set(_utf8Encoder.encode('SQLite format 3\0'), 0);
+        view.setUint16(16, SQLITE_PAGE_SIZE);
+        header[18] = 1;                              // file format write version
+        header[19] = 1;                              // file format read version
+        header[21] = 64;                             // max embedded payload fraction
+        header[22] = 32;                             // min embedded payload fraction
+        header[23] = 32;                             // leaf payload fraction
+        view.setUint32(24, 1);                       // file change counter
+        view.setUint32(28, this.pages.length);       // database size in pages
+        view.setUint32(40, 1);                       // schema cookie
+        view.setUint32(44, 4);                       // schema format
+        view.setUint32(56, 1);                       // UTF-8
+        view.setUint32(92, 1);                       // version-valid-for
+        view.setUint32(96, 3040001);                 // SQLite version number
+        return _concatBytes(this.pages);
+    }
+}
+
+let _crc32Table = null;
+
+function crc32(bytes) {
+    if (!_crc32Table) {
+        _crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            _crc32Table[n] = c >>> 0;
         }
-    } catch (error) {
-        showStatus('Failed to parse file', 'error');
     }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = _crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed (stored) zip archive of [{ name, data: Uint8Array }]
+function buildZipArchive(files) {
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = _utf8Encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralDir = _concatBytes(centralParts);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralDir.length, true);
+    end.setUint32(16, offset, true);
+    return _concatBytes([...localParts, centralDir, new Uint8Array(end.buffer)]);
 }
 
-// Import data (enhanced with version history and projectId support)
-async function importData(event) {
-    const input = event && event.target ? event.target : null;
-    const file = input && input.files ? input.files[0] : null;
-    if (!file) return;
+async function _sha1Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-1', _utf8Encoder.encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
 
-    await importDataFromFile(file);
+function _escapeAnkiField(text) {
+    return escapeHtml(String(text || '')).replace(/\r?\n/g, '<br>');
+}
 
-    if (input) {
-        input.value = '';
+// Anki tags are space separated, so spaces inside a tag name become underscores
+function _toAnkiTag(name) {
+    return name.trim().replace(/\s+/g, '_');
+}
+
+function _buildAnkiModel(deckId, nowSec) {
+    const fieldNames = ['Word', 'Meaning', 'POS'];
+    return {
+        id: ANKI_MODEL_ID,
+        name: 'Word Memory',
+        type: 0,
+        mod: nowSec,
+        usn: -1,
+        sortf: 0,
+        did: deckId,
+        tmpls: [{
+            name: 'Card 1',
+            ord: 0,
+            qfmt: '<div class="word">{{Word}}</div>',
+            afmt: '{{FrontSide}}<hr id="answer"><div class="meaning">{{Meaning}}</div>{{#POS}}<div class="pos">{{POS}}</div>{{/POS}}',
+            did: null,
+            bqfmt: '',
+            bafmt: ''
+        }],
+        flds: fieldNames.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+        css: '.card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }\n.word { font-size: 28px; font-weight: bold; }\n.pos { margin-top: 8px; color: #888; font-style: italic; }',
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        latexsvg: false,
+        req: [[0, 'any', [0]]],
+        tags: [],
+        vers: []
+    };
+}
+
+function _buildAnkiDeck(id, name, nowSec) {
+    return {
+        id,
+        name,
+        mod: nowSec,
+        usn: -1,
+        lrnToday: [0, 0],
+        revToday: [0, 0],
+        newToday: [0, 0],
+        timeToday: [0, 0],
+        collapsed: false,
+        desc: '',
+        dyn: 0,
+        conf: 1,
+        extendNew: 10,
+        extendRev: 50
+    };
+}
+
+const ANKI_DEFAULT_DECK_CONFIG = {
+    id: 1,
+    name: 'Default',
+    replayq: true,
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: false, hardFactor: 1.2 },
+    new: { perDay: 20, delays: [1, 10], separate: true, ints: [1, 4, 7], initialFactor: 2500, bury: false, order: 1 },
+    maxTaken: 60,
+    timer: 0,
+    autoplay: true,
+    mod: 0,
+    usn: 0,
+    dyn: false
+};
+
+// Build the collection.anki2 bytes for a list of words, in a deck named deckName
+async function buildAnkiCollection(list, deckName) {
+    const now = Date.now();
+    const nowSec = Math.floor(now / 1000);
+    const deckId = parseInt((await _sha1Hex(`deck:${deckName}`)).slice(0, 10), 16);
+
+    const notes = [];
+    const cards = [];
+    for (let i = 0; i < list.length; i++) {
+        const w = list[i];
+        const fields = [
+            _escapeAnkiField(w.word),
+            _escapeAnkiField(w.meaning),
+            _escapeAnkiField((Array.isArray(w.pos) ? w.pos : []).join(', '))
+        ];
+        const tags = (w.tags || []).map(getTagName).filter(Boolean).map(_toAnkiTag);
+        // Stable guid per book + word so re-importing updates notes instead of duplicating them
+        const guid = (await _sha1Hex(`${deckName}:${w.word}`)).slice(0, 10);
+        const csum = parseInt((await _sha1Hex(String(w.word))).slice(0, 8), 16);
+        const noteId = now + i;
+
+        notes.push({
+            rowid: noteId,
+            values: [null, guid, ANKI_MODEL_ID, nowSec, -1, tags.length ? ` ${tags.join(' ')} ` : '', fields.join(ANKI_FIELD_SEPARATOR), String(w.word), csum, 0, '']
+        });
+        cards.push({
+            rowid: noteId,
+            values: [null, noteId, deckId, 0, nowSec, -1, 0, 0, i + 1, 0, 0, 0, 0, 0, 0, 0, 0, '']
+        });
+    }
+
+    const conf = {
+        nextPos: list.length + 1,
+        estTimes: true,
+        activeDecks: [1],
+        sortType: 'noteFld',
+        timeLim: 0,
+        sortBackwards: false,
+        addToCur: true,
+        curDeck: 1,
+        newBury: true,
+        newSpread: 0,
+        dueCounts: true,
+        curModel: String(ANKI_MODEL_ID),
+        collapseTime: 1200
+    };
+    const decks = {
+        1: _buildAnkiDeck(1, 'Default', nowSec),
+        [deckId]: _buildAnkiDeck(deckId, deckName, nowSec)
+    };
+    const colRow = {
+        rowid: 1,
+        values: [
+            null, nowSec, now, now, 11, 0, 0, 0,
+            JSON.stringify(conf),
+            JSON.stringify({ [ANKI_MODEL_ID]: _buildAnkiModel(deckId, nowSec) }),
+            JSON.stringify(decks),
+            JSON.stringify({ 1: ANKI_DEFAULT_DECK_CONFIG }),
+            '{}'
+        ]
+    };
+
+    const db = new SqliteFileBuilder();
+    db.addTable('col', ANKI_SCHEMA_SQL.col, [colRow]);
+    db.addTable('notes', ANKI_SCHEMA_SQL.notes, notes);
+    db.addTable('cards', ANKI_SCHEMA_SQL.cards, cards);
+    db.addTable('revlog', ANKI_SCHEMA_SQL.revlog, []);
+    db.addTable('graves', ANKI_SCHEMA_SQL.graves, []);
+    return db.toBytes();
+}
+
+// Export the whole list, or only the selected words when fromSelection is set
+async function exportAnkiDeck(fromSelection = false) {
+    const list = fromSelection
+        ? getSelectedWords()
+        : words.filter(w => w.weight >= -2);
+    if (list.length === 0) {
+        showStatus('No words to export', 'error');
+        return;
+    }
+
+    const projectId = getProjectId();
+    try {
+        const collection = await buildAnkiCollection(list, projectId);
+        const archive = buildZipArchive([
+            { name: 'collection.anki2', data: collection },
+            { name: 'media', data: _utf8Encoder.encode('{}') }
+        ]);
+        const blob = new Blob([archive], { type: 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `wordlist-${toSafeFilenamePart(projectId)}.apkg`;
+        a.click();
+        URL.revokeObjectURL(url);
+        showStatus(`Exported ${list.length} words to Anki deck`, 'success');
+    } catch (error) {
+        showStatus('Failed to build Anki deck', 'error');
     }
 }
 
@@ -3564,16 +6933,19 @@ function initDragAndDropImport() {
 document.getElementById('wordInput').addEventListener('keypress', function(e) {
     if (e.key === 'Enter') addWord();
 });
-document.getElementById('meaningInput').addEventListener('keypress', function(e) {
-    if (e.key === 'Enter') addWord();
+document.getElementById('wordInput').addEventListener('input', updateDuplicateWarning);
+document.getElementById('sensesEditor').addEventListener('keypress', function(e) {
+    if (e.key === 'Enter' && e.target.classList.contains('sense-meaning')) addWord();
 });
 
-// Apply a resolved version's data to words + localStorage + re-render
+// Apply a resolved version's data to words + storage + re-render
 function _applyVersionWords(versionId) {
     const data = versionControl.resolveData(versionId);
     if (!data) return false;
     words = JSON.parse(JSON.stringify(data));
-    localStorage.setItem('wordMemoryData', JSON.stringify(words));
+    ensureWordSenses(words);
+    ensureWordIds(words);
+    wordStore.saveWords(words);
     renderWords();
     return true;
 }
@@ -3687,6 +7059,8 @@ function openSettingsModal() {
     if (pronounceVolumeInput) {
         pronounceVolumeInput.value = String(getPronounceVolumePercent());
     }
+    document.getElementById('dictionaryProviderInput').value = appSettings.dictionaryProvider;
+    updateDictionaryInfo();
     updatePronounceVolumePreview();
     renderTagManager();
 
@@ -3697,7 +7071,8 @@ function openSettingsModal() {
         projectId: getProjectId(),
         actionSoundEnabled: appSettings.actionSoundEnabled,
         audioPreloadEnabled: appSettings.audioPreloadEnabled,
-        pronounceVolume: String(getPronounceVolumePercent())
+        pronounceVolume: String(getPronounceVolumePercent()),
+        dictionaryProvider: appSettings.dictionaryProvider
     };
 
     document.querySelectorAll('.settings-toggle-item:not([data-click-bound])').forEach(item => {
@@ -3728,12 +7103,14 @@ function isSettingsDirty() {
     const audioPreloadEl = document.getElementById('audioPreloadEnabledInput');
     const quizAutoPlayEl = document.getElementById('quizAutoPlayInput');
     const pronounceVolumeEl = document.getElementById('pronounceVolumeInput');
+    const dictionaryProviderEl = document.getElementById('dictionaryProviderInput');
     if (maxVersionsEl && maxVersionsEl.value !== _settingsSnapshot.maxVersions) return true;
     if (projectIdEl && projectIdEl.value !== _settingsSnapshot.projectId) return true;
     if (actionSoundEl && actionSoundEl.checked !== _settingsSnapshot.actionSoundEnabled) return true;
     if (audioPreloadEl && audioPreloadEl.checked !== _settingsSnapshot.audioPreloadEnabled) return true;
     if (quizAutoPlayEl && quizAutoPlayEl.checked !== _settingsSnapshot.quizAutoPlay) return true;
     if (pronounceVolumeEl && pronounceVolumeEl.value !== _settingsSnapshot.pronounceVolume) return true;
+    if (dictionaryProviderEl && dictionaryProviderEl.value !== _settingsSnapshot.dictionaryProvider) return true;
     return false;
 }
 
@@ -3757,27 +7134,142 @@ function renderTagManager() {
     const container = document.getElementById('tagManagerList');
     if (!container) return;
 
+    _renderTagOperationSelects();
     if (tagRegistry.length === 0) {
         container.innerHTML = '<div class="tag-manager-empty">No tags yet.</div>';
         return;
     }
 
-    // Count usage per tag
+    // Count usage per tag (smart collections count their current matches)
     const usageCount = {};
     tagRegistry.forEach(t => usageCount[t.id] = 0);
     words.forEach(w => {
-        if (w.tags) w.tags.forEach(id => {
+        getWordTagIds(w).forEach(id => {
             if (usageCount[id] !== undefined) usageCount[id]++;
         });
     });
 
-    container.innerHTML = tagRegistry.map(t => `
-        <div class="tag-manager-item" data-tag-id="${t.id}">
-            <input type="text" value="${t.name.replace(/"/g, '&quot;')}" onchange="tagManagerRename('${t.id}', this.value)">
+    // Tree order; drag a handle onto another tag to nest it there, or onto the top bar to un-nest
+    const attr = value => escapeHtml(value).replace(/"/g, '&quot;');
+    container.innerHTML = '<div class="tag-manager-root-drop">Drop here to move to top level</div>' + getTagTree().map(({ tag: t, depth }) => {
+        const smart = isSmartCollection(t);
+        const ruleErrors = smart ? compileWordQuery(t.rule).errors.join(' · ') : '';
+        const color = getTagColor(t.id);
+        return `
+        <div class="tag-manager-item${smart ? ' smart' : ''}" data-tag-id="${t.id}" style="--tag-depth: ${depth}">
+            <span class="tag-manager-handle" draggable="true" title="Drag onto another tag to nest it">⋮⋮</span>
+            <input type="text" class="tag-manager-name" value="${t.name.replace(/"/g, '&quot;')}" onchange="tagManagerRename('${t.id}', this.value)">
             <span class="tag-manager-count">${usageCount[t.id] || 0} words</span>
             <button class="btn-danger" onclick="tagManagerDelete('${t.id}')">Delete</button>
+            <div class="tag-manager-appearance">
+                <input type="text" class="tag-manager-icon" value="${attr(getTagIcon(t.id))}" placeholder="Icon" aria-label="Icon" onchange="tagManagerSetAppearance('${t.id}', 'icon', this.value)">
+                <input type="color" class="tag-manager-color${color ? '' : ' unset'}" value="${color || '#888888'}" aria-label="Color" onchange="tagManagerSetAppearance('${t.id}', 'color', this.value)">
+                ${color ? `<button type="button" class="tag-manager-mini" title="Clear color" aria-label="Clear color" onclick="tagManagerSetAppearance('${t.id}', 'color', '')">×</button>` : ''}
+                <input type="text" class="tag-manager-description" value="${attr(t.description || '')}" placeholder="Description" aria-label="Description" onchange="tagManagerSetAppearance('${t.id}', 'description', this.value)">
+                <button type="button" class="tag-manager-mini" title="Move up" aria-label="Move up" onclick="tagManagerMove('${t.id}', -1)">↑</button>
+                <button type="button" class="tag-manager-mini" title="Move down" aria-label="Move down" onclick="tagManagerMove('${t.id}', 1)">↓</button>
+            </div>
+            ${smart ? `<input type="text" class="tag-manager-rule" value="${escapeHtml(t.rule).replace(/"/g, '&quot;')}" placeholder="Rule" aria-label="Rule" onchange="tagManagerSetRule('${t.id}', this.value)">
+            <div class="tag-manager-rule-error">${escapeHtml(ruleErrors)}</div>` : ''}
         </div>
-    `).join('');
+    `;
+    }).join('');
+}
+
+// Merge and split pick from ordinary tags, shown by path
+function _renderTagOperationSelects() {
+    const options = getTagTree()
+        .filter(({ tag }) => !isSmartCollection(tag))
+        .map(({ tag }) => `<option value="${tag.id}">${escapeHtml(getTagPath(tag.id))}</option>`)
+        .join('');
+    ['tagMergeSourceInput', 'tagMergeTargetInput', 'tagSplitSourceInput'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        const previous = select.value;
+        select.innerHTML = options;
+        if (Array.from(select.options).some(o => o.value === previous)) select.value = previous;
+    });
+}
+
+function _formatAffectedWordsPreview(list) {
+    if (list.length === 0) return 'No words are affected.';
+    const limit = 20;
+    const names = list.slice(0, limit).map(w => w.word).join(', ');
+    return `${list.length} word(s): ${names}${list.length > limit ? `, … and ${list.length - limit} more` : ''}`;
+}
+
+async function tagManagerMerge() {
+    const sourceId = document.getElementById('tagMergeSourceInput').value;
+    const targetId = document.getElementById('tagMergeTargetInput').value;
+    if (!sourceId || !targetId) return;
+    if (sourceId === targetId) {
+        alert('Pick two different tags to merge.');
+        return;
+    }
+
+    const affected = getWordsWithOwnTag(sourceId);
+    const nested = getTagDescendantIds(sourceId).length - 1;
+    const shouldMerge = await showInPageConfirm({
+        title: 'Merge Tags',
+        message: `Merge "${getTagPath(sourceId)}" into "${getTagPath(targetId)}"? "${getTagName(sourceId)}" will be removed`
+            + (nested > 0 ? ` and its ${nested} nested tag(s) will move under "${getTagName(targetId)}"` : '')
+            + `.\n\n${_formatAffectedWordsPreview(affected)}`,
+        confirmText: 'Merge',
+        cancelText: 'Cancel',
+        confirmTone: 'danger'
+    });
+    if (!shouldMerge) return;
+
+    const sourceName = getTagName(sourceId);
+    const count = mergeTags(sourceId, targetId);
+    if (count === null) return;
+    renderTagManager();
+    renderTagFilterBar();
+    renderWords();
+    _settingsDirty = true;
+    showStatus(`Merged "${sourceName}" into "${getTagName(targetId)}" (${count} word(s))`, 'success');
+}
+
+async function tagManagerSplit() {
+    const sourceId = document.getElementById('tagSplitSourceInput').value;
+    const ruleInput = document.getElementById('tagSplitRuleInput');
+    const nameInput = document.getElementById('tagSplitNameInput');
+    if (!sourceId || !ruleInput || !nameInput) return;
+    const rule = ruleInput.value.trim();
+    const name = nameInput.value.trim();
+    if (!rule || !name) {
+        alert('Splitting needs a rule and a name for the new tag.');
+        return;
+    }
+    const existingId = getTagId(name);
+    if (existingId === sourceId || (existingId && isSmartCollection(existingId))) {
+        alert('Tag "' + name + '" cannot take the split words.');
+        return;
+    }
+
+    const { words: matches, errors } = getTagSplitMatches(sourceId, rule);
+    if (errors.length > 0) {
+        alert('Rule error: ' + errors.join(' · '));
+        return;
+    }
+    const shouldSplit = await showInPageConfirm({
+        title: 'Split Tag',
+        message: `Move the words of "${getTagPath(sourceId)}" matching "${rule}" to ${existingId ? 'the existing' : 'a new'} tag "${name}"?`
+            + `\n\n${_formatAffectedWordsPreview(matches)}`,
+        confirmText: 'Split',
+        cancelText: 'Cancel'
+    });
+    if (!shouldSplit) return;
+
+    const result = splitTag(sourceId, rule, name);
+    if (!result) return;
+    ruleInput.value = '';
+    nameInput.value = '';
+    renderTagManager();
+    renderTagFilterBar();
+    renderWords();
+    _settingsDirty = true;
+    showStatus(`Moved ${result.count} word(s) to "${getTagName(result.tagId)}"`, 'success');
 }
 
 function tagManagerAdd() {
@@ -3799,6 +7291,54 @@ function tagManagerAdd() {
     _settingsDirty = true;
 }
 
+// Smart collections take a rule in search query syntax, e.g. "weight>=3 accuracy<60"
+function tagManagerAddSmart() {
+    const nameInput = document.getElementById('smartCollectionNameInput');
+    const ruleInput = document.getElementById('smartCollectionRuleInput');
+    if (!nameInput || !ruleInput) return;
+    const name = nameInput.value.trim();
+    const rule = ruleInput.value.trim();
+    if (!name || !rule) {
+        alert('Smart collections need a name and a rule.');
+        return;
+    }
+    if (getTagId(name)) {
+        alert('Tag "' + name + '" already exists.');
+        return;
+    }
+    const { errors } = compileWordQuery(rule);
+    if (errors.length > 0) {
+        alert('The rule has errors:\n' + errors.join('\n'));
+        return;
+    }
+
+    createSmartCollection(name, rule);
+    nameInput.value = '';
+    ruleInput.value = '';
+    renderTagManager();
+    renderTagFilterBar();
+    renderWords();
+    _settingsDirty = true;
+}
+
+function tagManagerSetRule(id, rule) {
+    if (!rule.trim()) {
+        alert('Rule cannot be empty.');
+        renderTagManager();
+        return;
+    }
+    const { errors } = compileWordQuery(rule);
+    if (errors.length > 0) {
+        alert('The rule has errors:\n' + errors.join('\n'));
+        renderTagManager();
+        return;
+    }
+    updateSmartCollectionRule(id, rule);
+    renderTagManager();
+    renderWords();
+    _settingsDirty = true;
+}
+
 function tagManagerRename(id, newName) {
     newName = newName.trim();
     if (!newName) {
@@ -3821,14 +7361,90 @@ function tagManagerRename(id, newName) {
     _settingsDirty = true;
 }
 
+function tagManagerSetAppearance(id, field, value) {
+    updateTagAppearance(id, { [field]: value });
+    renderTagManager();
+    renderTagFilterBar();
+    renderWords();
+    _settingsDirty = true;
+}
+
+function tagManagerMove(id, delta) {
+    if (!moveTagInOrder(id, delta)) return;
+    renderTagManager();
+    renderTagFilterBar();
+    renderWords();
+    _settingsDirty = true;
+}
+
+function tagManagerSetParent(id, parentId) {
+    if (getTagParentId(id) === parentId) return;
+    if (!setTagParent(id, parentId)) {
+        alert('A tag cannot be nested inside itself or one of its own children.');
+        return;
+    }
+    renderTagManager();
+    renderTagFilterBar();
+    renderWords();
+    _settingsDirty = true;
+}
+
+let _tagManagerDragId = null;
+
+(function bindTagManagerDrag() {
+    const container = document.getElementById('tagManagerList');
+    if (!container) return;
+    const dropTarget = e => e.target.closest('.tag-manager-item, .tag-manager-root-drop');
+    const clearDropMarks = () => {
+        container.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    };
+
+    container.addEventListener('dragstart', e => {
+        const handle = e.target.closest && e.target.closest('.tag-manager-handle');
+        if (!handle) return;
+        _tagManagerDragId = handle.closest('.tag-manager-item').dataset.tagId;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', _tagManagerDragId);
+        container.classList.add('dragging');
+    });
+    container.addEventListener('dragover', e => {
+        const target = _tagManagerDragId && dropTarget(e);
+        if (!target || target.dataset.tagId === _tagManagerDragId) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (!target.classList.contains('drop-target')) {
+            clearDropMarks();
+            target.classList.add('drop-target');
+        }
+    });
+    container.addEventListener('drop', e => {
+        const target = _tagManagerDragId && dropTarget(e);
+        if (!target) return;
+        e.preventDefault();
+        const dragId = _tagManagerDragId;
+        _tagManagerDragId = null;
+        container.classList.remove('dragging');
+        clearDropMarks();
+        if (target.dataset.tagId === dragId) return;
+        tagManagerSetParent(dragId, target.dataset.tagId || null);
+    });
+    container.addEventListener('dragend', () => {
+        _tagManagerDragId = null;
+        container.classList.remove('dragging');
+        clearDropMarks();
+    });
+})();
+
 async function tagManagerDelete(id) {
     const tag = tagRegistry.find(t => t.id === id);
     if (!tag) return;
 
     const count = words.filter(w => w.tags && w.tags.includes(id)).length;
-    const msg = count > 0
+    const childCount = getTagDescendantIds(id).length - 1;
+    let msg = count > 0
         ? `Delete tag "${tag.name}"? It will be removed from ${count} word(s).`
         : `Delete tag "${tag.name}"?`;
+    if (childCount > 0) msg += ` Its ${childCount} nested tag(s) move up one level.`;
 
     const shouldDelete = await showInPageConfirm({
         title: 'Delete Tag',
@@ -3856,6 +7472,7 @@ function saveSettings() {
     const audioPreloadEnabledInput = document.getElementById('audioPreloadEnabledInput');
     const quizAutoPlayInput = document.getElementById('quizAutoPlayInput');
     const pronounceVolumeInput = document.getElementById('pronounceVolumeInput');
+    const dictionaryProviderInput = document.getElementById('dictionaryProviderInput');
     const projectId = projectIdInput ? projectIdInput.value.trim() : '';
     const nextActionSoundEnabled = actionSoundEnabledInput ? actionSoundEnabledInput.checked : DEFAULT_APP_SETTINGS.actionSoundEnabled;
     const nextAudioPreloadEnabled = audioPreloadEnabledInput ? audioPreloadEnabledInput.checked : DEFAULT_APP_SETTINGS.audioPreloadEnabled;
@@ -3868,18 +7485,14 @@ function saveSettings() {
         return;
     }
 
-    if (!projectId) {
-        alert('Profile ID cannot be empty');
-        return;
-    }
-
-    if (projectId.length > 128) {
-        alert('Profile ID must be 128 characters or less');
+    const bookIdError = validateBookId(projectId, getProjectId());
+    if (bookIdError) {
+        alert(bookIdError);
         return;
     }
 
     versionControl.updateSettings({ maxVersions: maxVersions });
-    setProjectId(projectId);
+    renameBook(getProjectId(), projectId);
     if (projectIdInput) {
         projectIdInput.value = projectId;
     }
@@ -3888,7 +7501,8 @@ function saveSettings() {
         actionSoundEnabled: nextActionSoundEnabled,
         audioPreloadEnabled: nextAudioPreloadEnabled,
         pronounceVolume: nextPronounceVolume,
-        quizAutoPlay: nextQuizAutoPlay
+        quizAutoPlay: nextQuizAutoPlay,
+        dictionaryProvider: dictionaryProviderInput ? dictionaryProviderInput.value : DEFAULT_APP_SETTINGS.dictionaryProvider
     });
     saveAppSettings();
     applyAudioPreloadSetting();
@@ -3919,6 +7533,9 @@ async function clearAllData() {
     // Clear localStorage
     localStorage.clear();
 
+    // Clear IndexedDB (words, tags, version history)
+    await wordStore.clear();
+
     // Clear sessionStorage
     sessionStorage.clear();
 
@@ -3938,9 +7555,14 @@ async function clearAllData() {
         } catch (e) {}
     }
 
+    // Start over with a single new book
+    loadBooks();
+    renderBookPicker();
+
     // Reset in-memory state
     words = [];
     tagRegistry = [];
+    reviewLog = [];
     if (versionControl) {
         versionControl.versions = new Map();
         versionControl.rootId = null;
@@ -3973,6 +7595,7 @@ function formatVersionDate(date) {
 let _historySelectedId = null;
 let _historyExpandedSet = new Set();
 let _historyPreviewMode = 'version'; // 'version' or 'diff'
+let _historyDiffFilter = 'all'; // 'all', 'added', 'removed' or 'modified'
 let _historyCheckedSet = new Set(); // For batch operations
 let _confirmModalResolver = null;
 
@@ -4438,6 +8061,11 @@ function renderTreeRowHTML(row) {
     if (compressedDepth >= 3) {
         html += `<span class="tree-label-compressed">+${compressedDepth}</span>`;
     }
+    if (version.mergeParentId) {
+        const mergedFrom = getVersionNode(version.mergeParentId);
+        const mergeTitle = mergedFrom ? `Merged from ${getVersionDisplayLabel(mergedFrom)}` : 'Merge';
+        html += `<span class="tree-label-branch tree-label-merge" title="${escapeHtml(mergeTitle).replace(/"/g, '&quot;')}">merge</span>`;
+    }
     html += `<span class="tree-label-count">(${wordCount})</span>`;
     html += `</span>`;
     html += `</span>`;
@@ -4483,6 +8111,7 @@ function toggleTreeCheck(versionId) {
 function updateRegistryToolbarButtons() {
     const deleteBtn = document.getElementById('registryDeleteBtn');
     const renameBtn = document.getElementById('registryRenameBtn');
+    const mergeBtn = document.getElementById('registryMergeBtn');
     const hasChecked = _historyCheckedSet.size > 0;
     const hasSingleChecked = _historyCheckedSet.size === 1;
 
@@ -4493,6 +8122,9 @@ function updateRegistryToolbarButtons() {
     if (renameBtn) {
         renameBtn.disabled = !hasSingleChecked;
     }
+    if (mergeBtn) {
+        mergeBtn.disabled = !canMergeIntoCurrent(_historySelectedId);
+    }
 }
 
 async function deleteSelectedVersions() {
@@ -4597,6 +8229,7 @@ function selectVersionNode(versionId) {
     renderRegistryTree();
     renderRegistryPreview();
     updateRegistryAddressBar();
+    updateRegistryToolbarButtons();
 
     // On portrait mobile, open mobile preview
     if (isPortraitMobile()) {
@@ -4730,97 +8363,382 @@ function highlightJsonLine(line) {
         // Other chars (colon, comma, etc.)
         result += line[i]; i++;
     }
-    return result;
+    return result;
+}
+
+// ---- Diff View ----
+
+const DIFF_RENDER_LIMIT = 500;
+
+// Word-keyed diff from dataA to dataB: { added, removed, modified: [{ word, before, after, fields }] }
+function computeWordDiff(dataA, dataB) {
+    const byWord = list => {
+        const map = new Map();
+        (list || []).forEach(w => {
+            if (w && !map.has(w.word)) map.set(w.word, w);
+        });
+        return map;
+    };
+    const mapA = byWord(dataA);
+    const mapB = byWord(dataB);
+
+    const added = [];
+    const removed = [];
+    const modified = [];
+    mapB.forEach((after, word) => {
+        const before = mapA.get(word);
+        if (!before) {
+            added.push(after);
+            return;
+        }
+        const fields = getWordFieldDifferences(before, after);
+        if (fields.length > 0) modified.push({ word, before: withWordSenses(before), after: withWordSenses(after), fields });
+    });
+    mapA.forEach((before, word) => {
+        if (!mapB.has(word)) removed.push(before);
+    });
+    return { added, removed, modified };
+}
+
+function setHistoryDiffFilter(filter) {
+    _historyDiffFilter = filter;
+    renderRegistryPreview();
+}
+
+// pos/tags show which items came and went; other fields show old → new
+function renderWordDiffField(key, before, after) {
+    const label = MERGE_FIELDS.find(f => f.key === key).label;
+    let change;
+    if (SET_MERGE_FIELDS.includes(key)) {
+        const nameOf = key === 'tags' ? getTagName : (v => v);
+        const listA = Array.isArray(before) ? before : [];
+        const listB = Array.isArray(after) ? after : [];
+        const gone = listA.filter(v => !listB.includes(v)).map(v => `<del class="word-diff-old">${escapeHtml(nameOf(v) || v)}</del>`);
+        const came = listB.filter(v => !listA.includes(v)).map(v => `<ins class="word-diff-new">${escapeHtml(nameOf(v) || v)}</ins>`);
+        change = [...gone, ...came].join(' ');
+    } else {
+        change = `<del class="word-diff-old">${escapeHtml(formatMergeFieldValue(key, before))}</del>`
+            + ` → <ins class="word-diff-new">${escapeHtml(formatMergeFieldValue(key, after))}</ins>`;
+    }
+    return `<div class="word-diff-field"><span class="word-diff-field-label">${label}</span>${change}</div>`;
+}
+
+function renderDiffView(dataA, dataB, versionA, versionB) {
+    const diff = computeWordDiff(dataA, dataB);
+
+    const dateA = formatVersionDate(versionA.timestamp);
+    const dateB = formatVersionDate(versionB.timestamp);
+
+    let html = `<div class="word-diff"><div class="diff-header">Selected: ${dateA} → Current: ${dateB}</div>`;
+
+    const total = diff.added.length + diff.removed.length + diff.modified.length;
+    const filters = [
+        { key: 'all', label: 'All', count: total },
+        { key: 'added', label: 'Added', count: diff.added.length },
+        { key: 'removed', label: 'Removed', count: diff.removed.length },
+        { key: 'modified', label: 'Modified', count: diff.modified.length }
+    ];
+    html += '<div class="word-diff-filters">';
+    filters.forEach(f => {
+        const active = f.key === _historyDiffFilter ? ' active' : '';
+        html += `<button class="word-diff-filter${active}" onclick="setHistoryDiffFilter('${f.key}')">${f.label} <span class="word-diff-count">${f.count}</span></button>`;
+    });
+    html += '</div>';
+
+    if (total === 0) {
+        return html + '<div class="word-diff-empty">No word changes</div></div>';
+    }
+
+    const show = type => _historyDiffFilter === 'all' || _historyDiffFilter === type;
+    const rows = [];
+    if (show('added')) {
+        diff.added.forEach(w => rows.push(
+            `<div class="word-diff-entry diff-added"><span class="word-diff-sign">+</span><span class="word-diff-word">${escapeHtml(w.word)}</span><span class="word-diff-summary">${escapeHtml(w.meaning || '')}</span></div>`
+        ));
+    }
+    if (show('removed')) {
+        diff.removed.forEach(w => rows.push(
+            `<div class="word-diff-entry diff-removed"><span class="word-diff-sign">−</span><span class="word-diff-word">${escapeHtml(w.word)}</span><span class="word-diff-summary">${escapeHtml(w.meaning || '')}</span></div>`
+        ));
+    }
+    if (show('modified')) {
+        diff.modified.forEach(m => rows.push(
+            `<div class="word-diff-entry word-diff-modified"><span class="word-diff-sign">~</span><span class="word-diff-word">${escapeHtml(m.word)}</span>`
+            + m.fields.map(key => renderWordDiffField(key, m.before[key], m.after[key])).join('')
+            + '</div>'
+        ));
+    }
+
+    html += '<div class="word-diff-list">' + rows.slice(0, DIFF_RENDER_LIMIT).join('');
+    if (rows.length > DIFF_RENDER_LIMIT) {
+        html += `<div class="word-diff-empty">${rows.length - DIFF_RENDER_LIMIT} more not shown</div>`;
+    }
+    return html + '</div></div>';
+}
+
+function goToVersionById(versionId) {
+    if (!versionControl) return;
+
+    const version = versionControl.goToVersion(versionId);
+    if (version) {
+        _applyVersionWords(versionId);
+        renderRegistryTree();
+        renderRegistryPreview();
+        updateRegistryStatus();
+        updateRegistryAddressBar();
+        updateRegistryToolbarButtons();
+        showStatus(`Jumped to version: ${version.description}`, 'success');
+    }
+}
+
+// ---- Branch Merge ----
+
+// Nearest version on both first-parent paths
+function findCommonAncestorId(idA, idB) {
+    const pathA = new Set(buildVersionPath(idA).map(step => step.id));
+    const pathB = buildVersionPath(idB);
+    for (let i = pathB.length - 1; i >= 0; i--) {
+        if (pathA.has(pathB[i].id)) return pathB[i].id;
+    }
+    return null;
+}
+
+// Ancestors of the current version are already part of it
+function canMergeIntoCurrent(versionId) {
+    if (!versionControl || !versionId || !versionControl.versions.has(versionId)) return false;
+    const currentId = versionControl.currentId;
+    return Boolean(currentId) && versionId !== currentId && !versionControl.isInCurrentPath(versionId);
+}
+
+function _isSameFieldValue(key, a, b) {
+    if (MERGE_FIELDS.some(f => f.key === key)) return isMergeFieldEqual(key, a, b);
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function _isSameWordEntry(a, b) {
+    if (!a || !b) return a === b;
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Array.from(keys).every(key => _isSameFieldValue(key, a[key], b[key]));
+}
+
+// Field-level merge of a word changed on both sides; only MERGE_FIELDS can conflict,
+// other fields (dates, schedule) keep the current side when both changed them
+function _mergeWordFields(base, ours, theirs) {
+    const entry = {};
+    const fields = [];
+    const keys = new Set([...Object.keys(ours), ...Object.keys(theirs)]);
+    keys.forEach(key => {
+        const baseValue = base ? base[key] : undefined;
+        if (_isSameFieldValue(key, ours[key], theirs[key]) || _isSameFieldValue(key, theirs[key], baseValue)) {
+            entry[key] = ours[key];
+        } else if (_isSameFieldValue(key, ours[key], baseValue)) {
+            entry[key] = theirs[key];
+        } else {
+            entry[key] = ours[key];
+            if (MERGE_FIELDS.some(f => f.key === key)) fields.push(key);
+        }
+    });
+    return { entry, fields };
+}
+
+// Three-way merge of word lists by word. Returns { merged, conflicts } where each conflict
+// ({ word, fields, local, incoming, mergedIndex }) still holds the current side in merged.
+// A word deleted on one side and changed on the other is a WORD_PRESENCE_FIELD conflict: its
+// missing side is null and merged holds the surviving entry until the choice is made.
+function threeWayMergeWords(baseList, oursList, theirsList) {
+    const byWord = list => {
+        const map = new Map();
+        list.forEach(w => {
+            if (!map.has(w.word)) map.set(w.word, w);
+        });
+        return map;
+    };
+    const base = byWord(baseList);
+    const ours = byWord(oursList);
+    const theirs = byWord(theirsList);
+    const keys = [...ours.keys(), ...Array.from(theirs.keys()).filter(word => !ours.has(word))];
+
+    const merged = [];
+    const conflicts = [];
+    keys.forEach(word => {
+        const b = base.get(word);
+        const o = ours.get(word);
+        const t = theirs.get(word);
+        let result;
+        if (_isSameWordEntry(o, t) || _isSameWordEntry(t, b)) {
+            result = o;
+        } else if (_isSameWordEntry(o, b)) {
+            result = t;
+        } else if (!o || !t) {
+            result = o || t;
+            conflicts.push({ word, fields: [WORD_PRESENCE_FIELD], local: o || null, incoming: t || null, mergedIndex: merged.length });
+        } else {
+            const { entry, fields } = _mergeWordFields(b, o, t);
+            result = entry;
+            if (fields.length > 0) {
+                conflicts.push({ word, fields, local: o, incoming: t, mergedIndex: merged.length });
+            }
+        }
+        if (result) merged.push(result);
+    });
+    return { merged, conflicts };
+}
+
+async function mergeSelectedVersionIntoCurrent() {
+    const sourceId = _historySelectedId;
+    if (!canMergeIntoCurrent(sourceId)) return;
+
+    const currentId = versionControl.currentId;
+    const ancestorId = findCommonAncestorId(currentId, sourceId);
+    const theirs = versionControl.resolveData(sourceId);
+    if (!theirs) {
+        showStatus('Cannot read the selected version', 'error');
+        return;
+    }
+    const base = ((ancestorId && versionControl.resolveData(ancestorId)) || []).map(toCanonicalWord);
+    const ours = (versionControl.resolveData(currentId) || []).map(toCanonicalWord);
+    const sourceLabel = getVersionDisplayLabel(versionControl.versions.get(sourceId));
+
+    let { merged, conflicts } = threeWayMergeWords(base, ours, theirs.map(toCanonicalWord));
+    if (conflicts.length > 0) {
+        const resolutions = await resolveWordConflicts({
+            title: 'Merge Branches',
+            summary: `"${sourceLabel}" into current: ${conflicts.length} word(s) changed or deleted on both branches`,
+            conflicts,
+            labels: { local: 'Current', incoming: 'Selected' },
+            confirmText: 'Merge'
+        });
+        if (!resolutions) return;
+        conflicts.forEach((conflict, i) => {
+            if (conflict.fields.includes(WORD_PRESENCE_FIELD)) {
+                merged[conflict.mergedIndex] = resolutions[i][WORD_PRESENCE_FIELD] === 'incoming' ? conflict.incoming : conflict.local;
+            } else {
+                merged[conflict.mergedIndex] = applyFieldResolution(merged[conflict.mergedIndex], conflict.incoming, resolutions[i]);
+            }
+        });
+        // Words whose deletion won
+        merged = merged.filter(Boolean);
+    } else {
+        const confirmed = await showInPageConfirm({
+            title: 'Merge Branches',
+            message: `Merge "${sourceLabel}" into the current version? No conflicts found.`,
+            confirmText: 'Merge'
+        });
+        if (!confirmed) return;
+    }
+
+    words = JSON.parse(JSON.stringify(merged));
+    ensureWordIds(words);
+    versionControl.createVersion(words, `Merge "${sourceLabel}"`, sourceId);
+    wordStore.saveWords(words);
+    renderWords();
+
+    _historySelectedId = versionControl.currentId;
+    expandPathToVersion(_historySelectedId);
+    renderRegistryTree();
+    renderRegistryPreview();
+    updateRegistryStatus();
+    updateRegistryAddressBar();
+    updateRegistryToolbarButtons();
+    showStatus(conflicts.length > 0 ? `Merged with ${conflicts.length} resolved conflict(s)` : 'Merged without conflicts', 'success');
 }
 
-// ---- Diff View ----
+bindModalBackdropPressReleaseClose(
+    document.getElementById('settingsModal'),
+    cancelSettings
+);
 
-function renderDiffView(dataA, dataB, versionA, versionB) {
-    const jsonA = JSON.stringify(dataA, null, 2).split('\n');
-    const jsonB = JSON.stringify(dataB, null, 2).split('\n');
+bindModalBackdropPressReleaseClose(
+    document.getElementById('historyModal'),
+    closeHistoryModal
+);
 
-    const diff = computeLineDiff(jsonA, jsonB);
+// ========================================
+// Spaced Repetition (SM-2)
+// ========================================
 
-    const dateA = formatVersionDate(versionA.timestamp);
-    const dateB = formatVersionDate(versionB.timestamp);
+// Per-word schedule lives in w.srs = { ease, interval, due, reps, lapses, reviews, lastReviewed }
+const SRS_DEFAULT_EASE = 2.5;
+const SRS_MIN_EASE = 1.3;
+const SRS_QUALITY = { skipped: 0, again: 1, good: 4 };
 
-    let html = `<div class="diff-header">Selected: ${dateA} vs Current: ${dateB}</div>`;
+function getTodayIsoDate() {
+    return new Date().toISOString().split('T')[0];
+}
 
-    let lineNum = 0;
-    diff.forEach(entry => {
-        if (entry.type === 'equal') {
-            lineNum++;
-            html += `<span class="json-line"><span class="json-line-number">${lineNum}</span>${highlightJsonLine(entry.line)}</span>`;
-        } else if (entry.type === 'removed') {
-            html += `<span class="json-line diff-removed"><span class="json-line-number">-</span>${highlightJsonLine(entry.line)}</span>`;
-        } else if (entry.type === 'added') {
-            lineNum++;
-            html += `<span class="json-line diff-added"><span class="json-line-number">+</span>${highlightJsonLine(entry.line)}</span>`;
-        }
-    });
+function addDaysToIsoDate(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return isoDate;
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
 
-    return html;
+// Normalised copy of a word's schedule (defaults for never-reviewed words)
+function getWordSrs(w) {
+    const srs = w && w.srs && typeof w.srs === 'object' ? w.srs : {};
+    const count = (value) => Number.isInteger(value) && value >= 0 ? value : 0;
+    return {
+        ease: Number.isFinite(srs.ease) ? Math.max(SRS_MIN_EASE, srs.ease) : SRS_DEFAULT_EASE,
+        interval: count(srs.interval),
+        due: typeof srs.due === 'string' && srs.due ? srs.due : null,
+        reps: count(srs.reps),
+        lapses: count(srs.lapses),
+        reviews: count(srs.reviews),
+        lastReviewed: typeof srs.lastReviewed === 'string' ? srs.lastReviewed : null
+    };
 }
 
-// Simple LCS-based line diff
-function computeLineDiff(linesA, linesB) {
-    const m = linesA.length;
-    const n = linesB.length;
+// Apply one review graded 0-5 (>= 3 counts as recalled) and store the new schedule on the word.
+// A word is reviewed at most once a day: later grades that day (weight presses, another quiz)
+// leave the schedule alone and return null.
+function scheduleWordReview(w, quality, reviewDate = getTodayIsoDate()) {
+    if (!w) return null;
+    const q = Math.max(0, Math.min(5, Math.round(quality)));
+    const srs = getWordSrs(w);
+    if (srs.lastReviewed === reviewDate) return null;
 
-    // Build LCS table
-    const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-    for (let i = 1; i <= m; i++) {
-        for (let j = 1; j <= n; j++) {
-            if (linesA[i - 1] === linesB[j - 1]) {
-                dp[i][j] = dp[i - 1][j - 1] + 1;
-            } else {
-                dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
-            }
-        }
+    if (q >= 3) {
+        srs.interval = srs.reps === 0 ? 1 : srs.reps === 1 ? 6 : Math.max(1, Math.round(srs.interval * srs.ease));
+        srs.reps++;
+    } else {
+        srs.reps = 0;
+        srs.interval = 1;
+        srs.lapses++;
     }
 
-    // Backtrack
-    const result = [];
-    let i = m, j = n;
-    while (i > 0 || j > 0) {
-        if (i > 0 && j > 0 && linesA[i - 1] === linesB[j - 1]) {
-            result.unshift({ type: 'equal', line: linesA[i - 1] });
-            i--; j--;
-        } else if (j > 0 && (i === 0 || dp[i][j - 1] >= dp[i - 1][j])) {
-            result.unshift({ type: 'added', line: linesB[j - 1] });
-            j--;
-        } else {
-            result.unshift({ type: 'removed', line: linesA[i - 1] });
-            i--;
-        }
-    }
+    const ease = srs.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02);
+    srs.ease = Math.max(SRS_MIN_EASE, Math.round(ease * 100) / 100);
+    srs.reviews++;
+    srs.lastReviewed = reviewDate;
+    srs.due = addDaysToIsoDate(reviewDate, srs.interval);
 
-    return result;
+    w.srs = srs;
+    return srs;
 }
 
-function goToVersionById(versionId) {
-    if (!versionControl) return;
+// Never-reviewed words are due immediately; invalid entries are never due
+function isWordDue(w, today = getTodayIsoDate()) {
+    if (!w || w.weight === -3) return false;
+    const due = getWordSrs(w).due;
+    return !due || due <= today;
+}
 
-    const version = versionControl.goToVersion(versionId);
-    if (version) {
-        _applyVersionWords(versionId);
-        renderRegistryTree();
-        renderRegistryPreview();
-        updateRegistryStatus();
-        updateRegistryAddressBar();
-        showStatus(`Jumped to version: ${version.description}`, 'success');
-    }
+function getDueWords(list = words) {
+    const today = getTodayIsoDate();
+    return list.filter(w => (w.meaning || '').trim() !== '' && isWordDue(w, today));
 }
 
-bindModalBackdropPressReleaseClose(
-    document.getElementById('settingsModal'),
-    cancelSettings
-);
+// Most overdue first; never-reviewed words after scheduled ones
+function sortWordsByDue(list) {
+    return list.sort((a, b) => (getWordSrs(a).due || '9999').localeCompare(getWordSrs(b).due || '9999'));
+}
 
-bindModalBackdropPressReleaseClose(
-    document.getElementById('historyModal'),
-    closeHistoryModal
-);
+function updateQuizButtonLabel() {
+    const quizBtn = document.getElementById('quizModeBtn');
+    if (!quizBtn) return;
+    const dueCount = getDueWords().length;
+    quizBtn.textContent = dueCount > 0 ? `Quiz (${dueCount} due)` : 'Quiz';
+}
 
 // ========================================
 // Quiz Mode
@@ -4880,8 +8798,24 @@ function findDistractors(targetWord, allWords, count = 3) {
     return candidates.slice(0, count).map(x => x.w);
 }
 
+// --- Senses for multiple choice ---
+function getQuizSenses(w) {
+    const senses = (withWordSenses(w).senses || []).filter(s => (s.meaning || '').trim());
+    return senses.length > 0 ? senses : [{ pos: '', meaning: w.meaning || '', examples: [] }];
+}
+
+// Prefer a sense with the same POS so the choices can't be told apart by grammar alone
+function _pickDistractorSense(w, pos, excludedMeanings) {
+    const senses = getQuizSenses(w).filter(s => !excludedMeanings.has(s.meaning));
+    const samePos = senses.filter(s => s.pos === pos);
+    const pool = samePos.length > 0 ? samePos : senses;
+    return pool[Math.floor(Math.random() * pool.length)] || { meaning: '' };
+}
+
 // --- Quiz setup ---
 function openQuizSetup() {
+    if (tagSelectorState.quiz && !tagRegistry.some(t => t.id === tagSelectorState.quiz)) tagSelectorState.quiz = '';
+    renderTagSelector('quiz');
     _updateQuizSetupInfo();
     document.getElementById('quizSetupModal').classList.add('active');
 
@@ -4896,24 +8830,34 @@ function closeQuizSetup() {
     document.getElementById('quizSetupModal').classList.remove('active');
 }
 
-// Pool = selectedWords (if any are selected) OR all words with meanings
+function _isDueQuizPool() {
+    const poolEl = document.querySelector('input[name="quizPool"]:checked');
+    return Boolean(poolEl && poolEl.value === 'due');
+}
+
+// Pool = selectedWords (if any are selected) OR all words with meanings, narrowed to the
+// chosen tag or smart collection and to due words if requested
 function _getQuizPool() {
+    let pool;
     if (isSelectMode && selectedWords.size > 0) {
-        return Array.from(selectedWords)
-            .map(i => words[i])
-            .filter(w => w && (w.meaning || '').trim() !== '');
+        pool = getSelectedWords().filter(w => (w.meaning || '').trim() !== '');
+    } else {
+        pool = words.filter(w => (w.meaning || '').trim() !== '');
     }
-    return words.filter(w => (w.meaning || '').trim() !== '');
+    const tagId = tagSelectorState.quiz;
+    if (tagId) pool = pool.filter(w => wordHasTag(w, tagId));
+    return _isDueQuizPool() ? getDueWords(pool) : pool;
 }
 
 function _updateQuizSetupInfo() {
     const pool = _getQuizPool();
     const infoEl = document.getElementById('quizSetupInfo');
     if (!infoEl) return;
+    const dueSuffix = _isDueQuizPool() ? ' due today' : '';
     if (isSelectMode && selectedWords.size > 0) {
-        infoEl.textContent = `${pool.length} selected word(s)`;
+        infoEl.textContent = `${pool.length} selected word(s)${dueSuffix}`;
     } else {
-        infoEl.textContent = `${pool.length} word(s) available`;
+        infoEl.textContent = `${pool.length} word(s)${dueSuffix || ' available'}`;
     }
 }
 
@@ -4934,16 +8878,25 @@ function startQuiz() {
         return;
     }
 
-    // Shuffle
-    const shuffled = [...pool].sort(() => Math.random() - 0.5);
-    const quizWords = count > 0 ? shuffled.slice(0, count) : shuffled;
+    // Due pool: keep the most overdue words when limited by count, then shuffle
+    let quizWords;
+    if (_isDueQuizPool()) {
+        const byDue = sortWordsByDue([...pool]);
+        quizWords = (count > 0 ? byDue.slice(0, count) : byDue).sort(() => Math.random() - 0.5);
+    } else {
+        const shuffled = [...pool].sort(() => Math.random() - 0.5);
+        quizWords = count > 0 ? shuffled.slice(0, count) : shuffled;
+    }
 
     quizState = {
         mode,
+        sessionId: Date.now().toString(36),
         words: quizWords,
         currentIndex: 0,
-        results: [],      // { wordRef, correct, userAnswer }
+        results: [],      // { wordId, word, correct, userAnswer, skipped, answeredAt, responseMs }
+        questionShownAt: 0,
         answered: false,
+        currentSense: null,
         currentChoices: null,
         correctChoiceIndex: -1
     };
@@ -4964,6 +8917,7 @@ function _showQuizQuestion() {
     const total = quizState.words.length;
     const current = quizState.currentIndex + 1;
     quizState.answered = false;
+    quizState.questionShownAt = Date.now();
 
     // Preload audio for current word (and next)
     if (appSettings.audioPreloadEnabled) {
@@ -4993,10 +8947,11 @@ function _showQuizQuestion() {
         document.getElementById('quizSpellingSection').style.display = 'none';
         document.getElementById('quizMCSection').style.display = '';
 
-        const posArray = Array.isArray(w.pos) ? w.pos : (w.pos ? [w.pos] : []);
+        // Quiz one sense of the word; the POS shown is that sense's
+        const senses = getQuizSenses(w);
+        const sense = senses[Math.floor(Math.random() * senses.length)];
         document.getElementById('quizWordDisplay').textContent = w.word;
-        document.getElementById('quizWordPosDisplay').textContent =
-            posArray.length > 0 ? posArray.map(p => p + '.').join(' ') : '';
+        document.getElementById('quizWordPosDisplay').textContent = sense.pos ? `${sense.pos}.` : '';
 
         // Build choices: 1 correct + 3 distractors, shuffled
         const allWithMeaning = words.filter(wd => (wd.meaning || '').trim());
@@ -5007,13 +8962,21 @@ function _showQuizQuestion() {
             if (extra) distractors.push(extra);
             else break;
         }
-        const choices = [w, ...distractors].sort(() => Math.random() - 0.5);
+        const ownMeanings = new Set(senses.map(s => s.meaning));
+        const correctChoice = { word: w.word, meaning: sense.meaning };
+        const choices = [
+            correctChoice,
+            ...distractors
+                .map(d => ({ word: d.word, meaning: _pickDistractorSense(d, sense.pos, ownMeanings).meaning }))
+                .filter(c => c.meaning)
+        ].sort(() => Math.random() - 0.5);
+        quizState.currentSense = sense;
         quizState.currentChoices = choices;
-        quizState.correctChoiceIndex = choices.indexOf(w);
+        quizState.correctChoiceIndex = choices.indexOf(correctChoice);
 
         const choicesEl = document.getElementById('quizChoices');
         choicesEl.innerHTML = choices.map((c, i) =>
-            `<button class="quiz-choice-btn" onclick="handleMCChoice(${i})">${c.meaning}</button>`
+            `<button class="quiz-choice-btn" onclick="handleMCChoice(${i})">${escapeHtml(c.meaning)}</button>`
         ).join('');
     }
 
@@ -5107,6 +9070,14 @@ document.addEventListener('keydown', function(e) {
     }
 });
 
+function _quizAnswerTiming() {
+    const now = Date.now();
+    return {
+        answeredAt: new Date(now).toISOString(),
+        responseMs: quizState && quizState.questionShownAt ? now - quizState.questionShownAt : null
+    };
+}
+
 function checkSpelling() {
     if (!quizState || quizState.answered) return;
 
@@ -5115,7 +9086,7 @@ function checkSpelling() {
     const correct = input === w.word.toLowerCase();
 
     quizState.answered = true;
-    quizState.results.push({ wordRef: w, correct, userAnswer: input });
+    quizState.results.push({ wordId: w.id, word: w.word, correct, userAnswer: input, ..._quizAnswerTiming() });
     _showAnswerFeedback(correct, w.word);
 }
 
@@ -5127,7 +9098,7 @@ function handleMCChoice(index) {
 
     quizState.answered = true;
     const chosenWord = quizState.currentChoices[index];
-    quizState.results.push({ wordRef: w, correct, userAnswer: chosenWord ? chosenWord.word : '' });
+    quizState.results.push({ wordId: w.id, word: w.word, correct, userAnswer: chosenWord ? chosenWord.word : '', ..._quizAnswerTiming() });
 
     // Visually highlight choices
     const buttons = document.querySelectorAll('.quiz-choice-btn');
@@ -5180,12 +9151,15 @@ function skipQuizQuestion() {
     if (!quizState || quizState.answered) return;
     const w = quizState.words[quizState.currentIndex];
     quizState.answered = true;
-    quizState.results.push({ wordRef: w, correct: false, userAnswer: '', skipped: true });
+    quizState.results.push({ wordId: w.id, word: w.word, correct: false, userAnswer: '', skipped: true, ..._quizAnswerTiming() });
     _showAnswerFeedback(false, w.word);
 }
 
+// Answers given before abandoning still count, in the log and in the schedule alike
 function abandonQuiz() {
     document.getElementById('quizQuestionModal').classList.remove('active');
+    recordQuizSessionInReviewLog();
+    _applyQuizResultsToSchedule();
     quizState = null;
 }
 
@@ -5194,15 +9168,38 @@ function _renderQuizEndWordList(listEl, results, cssClass, idPrefix) {
         const id = `${idPrefix}-${i}`;
         return `<label class="quiz-end-word-row">` +
             `<input type="checkbox" class="quiz-end-checkbox" id="${id}" checked>` +
-            `<span class="quiz-end-word ${cssClass}">${r.wordRef.word}</span>` +
+            `<span class="quiz-end-word ${cssClass}">${escapeHtml(r.word)}</span>` +
             `</label>`;
     }).join('');
 }
 
+// Feed answers into the scheduler once per quiz (skips count as a blank recall)
+function _applyQuizResultsToSchedule() {
+    if (!quizState || quizState.scheduled) return;
+    quizState.scheduled = true;
+
+    const today = getTodayIsoDate();
+    let reviewed = 0;
+    quizState.results.forEach(r => {
+        const w = getWordById(r.wordId);
+        if (!w) return;
+        const quality = r.skipped ? SRS_QUALITY.skipped : (r.correct ? SRS_QUALITY.good : SRS_QUALITY.again);
+        if (scheduleWordReview(w, quality, today)) reviewed++;
+    });
+
+    if (reviewed > 0) {
+        saveData(false, `Quiz review × ${reviewed}`);
+        renderWords();
+    }
+}
+
 function _endQuiz() {
     document.getElementById('quizQuestionModal').classList.remove('active');
     if (!quizState) return;
 
+    _applyQuizResultsToSchedule();
+    recordQuizSessionInReviewLog();
+
     const total = quizState.results.length;
     const correctCount = quizState.results.filter(r => r.correct).length;
     const wrongCount = total - correctCount;
@@ -5250,12 +9247,11 @@ function adjustQuizWeights(delta, type) {
     sourceResults.forEach((result, i) => {
         const checkbox = document.getElementById(`${idPrefix}-${i}`);
         if (checkbox && !checkbox.checked) return; // skip unchecked
-        const wordRef = result.wordRef;
-        const idx = words.indexOf(wordRef);
-        if (idx !== -1) {
-            const newWeight = words[idx].weight + delta;
+        const w = getWordById(result.wordId);
+        if (w) {
+            const newWeight = w.weight + delta;
             if (newWeight >= -2 && newWeight <= 10) {
-                words[idx].weight = newWeight;
+                w.weight = newWeight;
                 adjusted++;
             }
         }
@@ -5287,6 +9283,605 @@ bindModalBackdropPressReleaseClose(
     closeQuizEnd
 );
 
+// ========================================
+// Review Log
+// ========================================
+
+const REVIEW_LOG_KEY = 'wordMemoryReviewLog';
+const REVIEW_LOG_MAX_ENTRIES = 5000;
+const REVIEW_LOG_MAX_SESSIONS_SHOWN = 100;
+const QUIZ_MODE_LABELS = { spelling: 'Spelling', mc: 'Multiple Choice' };
+
+let reviewLog = []; // Array of { sessionId, timestamp, mode, wordId, word, correct, skipped, userAnswer, responseMs }
+let _reviewLogView = 'sessions'; // 'sessions' or 'words'
+
+function loadReviewLog() {
+    try {
+        const saved = localStorage.getItem(getBookStorageKey(REVIEW_LOG_KEY));
+        const parsed = saved ? JSON.parse(saved) : [];
+        reviewLog = Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        reviewLog = [];
+    }
+}
+
+function saveReviewLog() {
+    if (reviewLog.length > REVIEW_LOG_MAX_ENTRIES) {
+        reviewLog = reviewLog.slice(reviewLog.length - REVIEW_LOG_MAX_ENTRIES);
+    }
+    try {
+        localStorage.setItem(getBookStorageKey(REVIEW_LOG_KEY), JSON.stringify(reviewLog));
+    } catch (error) {
+    }
+}
+
+// Review log entries per word, indexed again when the log grows or is replaced. Entries from
+// before words had ids are matched by spelling.
+let _reviewEntriesCache = { log: null, length: -1, byId: new Map(), byWord: new Map() };
+
+function _reviewEntriesForWord(w) {
+    const cache = _reviewEntriesCache;
+    if (cache.log !== reviewLog || cache.length !== reviewLog.length) {
+        cache.log = reviewLog;
+        cache.length = reviewLog.length;
+        cache.byId = new Map();
+        cache.byWord = new Map();
+        reviewLog.forEach(entry => {
+            const map = entry.wordId ? cache.byId : cache.byWord;
+            const key = entry.wordId || entry.word;
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(entry);
+        });
+    }
+    return [...(cache.byId.get(w.id) || []), ...(cache.byWord.get(w.word) || [])];
+}
+
+// Append the answered questions of the running quiz (once per session)
+function recordQuizSessionInReviewLog() {
+    if (!quizState || quizState.logged || quizState.results.length === 0) return;
+    quizState.logged = true;
+
+    quizState.results.forEach(r => {
+        reviewLog.push({
+            sessionId: quizState.sessionId,
+            timestamp: r.answeredAt || new Date().toISOString(),
+            mode: quizState.mode,
+            wordId: r.wordId,
+            word: r.word,
+            correct: Boolean(r.correct),
+            skipped: Boolean(r.skipped),
+            userAnswer: r.userAnswer || '',
+            responseMs: Number.isFinite(r.responseMs) ? r.responseMs : null
+        });
+    });
+    saveReviewLog();
+}
+
+// Fork imports keep local entries and add unseen ones; replace imports take the file's log as-is
+function _applyImportedReviewLog(importedReviewLog, replace = false) {
+    if (!Array.isArray(importedReviewLog)) {
+        if (replace) {
+            reviewLog = [];
+            saveReviewLog();
+        }
+        return;
+    }
+
+    const valid = importedReviewLog.filter(e => e && typeof e.word === 'string' && typeof e.timestamp === 'string');
+    if (replace) {
+        reviewLog = valid;
+    } else {
+        const entryKey = e => `${e.sessionId}|${e.timestamp}|${e.word}`;
+        const seen = new Set(reviewLog.map(entryKey));
+        valid.forEach(e => {
+            if (!seen.has(entryKey(e))) reviewLog.push(e);
+        });
+        reviewLog.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+    saveReviewLog();
+}
+
+function formatReviewTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return '';
+    const localIso = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const hh = String(date.getHours()).padStart(2, '0');
+    const mi = String(date.getMinutes()).padStart(2, '0');
+    return `${formatAddedDateLabel(localIso)} ${hh}:${mi}`;
+}
+
+function formatResponseTime(ms) {
+    return Number.isFinite(ms) ? `${(ms / 1000).toFixed(1)}s` : '—';
+}
+
+function getReviewResultSymbol(entry) {
+    return entry.skipped ? '–' : (entry.correct ? '✓' : '✗');
+}
+
+function getReviewResultClass(entry) {
+    return entry.skipped ? 'review-result-skipped' : (entry.correct ? 'review-result-correct' : 'review-result-wrong');
+}
+
+// Group entries by session, newest session first
+function getReviewSessions(entries = reviewLog) {
+    const sessions = new Map();
+    entries.forEach(e => {
+        const key = e.sessionId || e.timestamp;
+        if (!sessions.has(key)) {
+            sessions.set(key, { sessionId: key, mode: e.mode, startedAt: e.timestamp, entries: [] });
+        }
+        const session = sessions.get(key);
+        session.entries.push(e);
+        if (e.timestamp < session.startedAt) session.startedAt = e.timestamp;
+    });
+    return Array.from(sessions.values()).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+// Percentage (0-100) of entries answered correctly, null without entries. Skips count as wrong,
+// as they do for the scheduler; every accuracy shown in the app uses this.
+function getReviewAccuracy(entries) {
+    if (entries.length === 0) return null;
+    return Math.round(entries.filter(e => e.correct).length / entries.length * 100);
+}
+
+// Per-word aggregates: { word, attempts, correct, skipped, totalMs, timedCount, lastAt, recent }
+function getReviewWordStats(entries = reviewLog) {
+    const stats = new Map();
+    entries.forEach(e => {
+        if (!stats.has(e.word)) {
+            stats.set(e.word, { word: e.word, attempts: 0, correct: 0, skipped: 0, totalMs: 0, timedCount: 0, lastAt: '', recent: [] });
+        }
+        const s = stats.get(e.word);
+        s.attempts++;
+        if (e.correct) s.correct++;
+        if (e.skipped) s.skipped++;
+        if (Number.isFinite(e.responseMs)) {
+            s.totalMs += e.responseMs;
+            s.timedCount++;
+        }
+        if (e.timestamp > s.lastAt) s.lastAt = e.timestamp;
+        s.recent.push(e);
+    });
+    return Array.from(stats.values());
+}
+
+function openReviewLogModal() {
+    closeQuizSetup();
+    const filterInput = document.getElementById('reviewLogFilterInput');
+    if (filterInput) filterInput.value = '';
+    renderReviewLog();
+    document.getElementById('reviewLogModal').classList.add('active');
+}
+
+function closeReviewLogModal() {
+    document.getElementById('reviewLogModal').classList.remove('active');
+}
+
+function switchReviewLogView(view) {
+    _reviewLogView = view;
+    renderReviewLog();
+}
+
+function showReviewLogForWord(word) {
+    const filterInput = document.getElementById('reviewLogFilterInput');
+    if (filterInput) filterInput.value = word;
+    switchReviewLogView('sessions');
+}
+
+function renderReviewLog() {
+    const listEl = document.getElementById('reviewLogList');
+    const summaryEl = document.getElementById('reviewLogSummary');
+    if (!listEl || !summaryEl) return;
+
+    document.querySelectorAll('#reviewLogModal .segmented-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === _reviewLogView);
+    });
+
+    const filterInput = document.getElementById('reviewLogFilterInput');
+    const filter = filterInput ? filterInput.value.trim().toLowerCase() : '';
+    const entries = filter ? reviewLog.filter(e => e.word.toLowerCase().includes(filter)) : reviewLog;
+
+    const accuracy = getReviewAccuracy(entries);
+    const sessions = getReviewSessions(entries);
+    summaryEl.textContent = entries.length > 0
+        ? `${sessions.length} session(s) · ${entries.length} review(s) · ${accuracy}% correct`
+        : '';
+
+    if (entries.length === 0) {
+        listEl.innerHTML = `<div class="review-log-empty">${reviewLog.length === 0 ? 'No quizzes recorded yet' : 'No matching reviews'}</div>`;
+        return;
+    }
+
+    if (_reviewLogView === 'words') {
+        const stats = getReviewWordStats(entries).sort((a, b) => {
+            const accA = a.correct / a.attempts;
+            const accB = b.correct / b.attempts;
+            if (accA !== accB) return accA - accB;
+            return b.attempts - a.attempts;
+        });
+        listEl.innerHTML = stats.map(s => {
+            const recent = s.recent.slice(-10).map(e =>
+                `<span class="${getReviewResultClass(e)}">${getReviewResultSymbol(e)}</span>`
+            ).join('');
+            const avgMs = s.timedCount > 0 ? s.totalMs / s.timedCount : null;
+            return `<div class="review-log-word-row" data-word="${escapeHtml(s.word).replace(/"/g, '&quot;')}" onclick="showReviewLogForWord(this.dataset.word)">
+                <span class="review-log-word">${escapeHtml(s.word)}</span>
+                <span class="review-log-recent">${recent}</span>
+                <span class="review-log-meta">${s.correct}/${s.attempts} · ${formatResponseTime(avgMs)} · ${formatReviewTimestamp(s.lastAt)}</span>
+            </div>`;
+        }).join('');
+        return;
+    }
+
+    listEl.innerHTML = sessions.slice(0, REVIEW_LOG_MAX_SESSIONS_SHOWN).map(session => {
+        const sessionCorrect = session.entries.filter(e => e.correct).length;
+        const rows = session.entries.map(e => `
+            <div class="review-log-entry">
+                <span class="review-log-result ${getReviewResultClass(e)}">${getReviewResultSymbol(e)}</span>
+                <span class="review-log-word">${escapeHtml(e.word)}</span>
+                <span class="review-log-answer">${e.correct || e.skipped ? '' : escapeHtml(e.userAnswer)}</span>
+                <span class="review-log-meta">${formatResponseTime(e.responseMs)}</span>
+            </div>
+        `).join('');
+        return `<div class="review-log-session">
+            <div class="review-log-session-header">
+                <span>${formatReviewTimestamp(session.startedAt)} · ${QUIZ_MODE_LABELS[session.mode] || session.mode}</span>
+                <span>${sessionCorrect} / ${session.entries.length}</span>
+            </div>
+            ${rows}
+        </div>`;
+    }).join('');
+}
+
+bindModalBackdropPressReleaseClose(
+    document.getElementById('reviewLogModal'),
+    closeReviewLogModal
+);
+
+// ========================================
+// Statistics
+// ========================================
+
+const STATS_CHART_WIDTH = 560;
+const STATS_DAY_SPAN = 30;
+const STATS_WEEK_SPAN = 12;
+const STATS_TREND_SESSIONS = 20;
+const WEIGHT_BUCKET_ORDER = [5, 4, 3, 2, 1, 0, -1, -2, -3];
+
+let _statsAddedPeriod = 'day'; // 'day' or 'week'
+
+function getWordAddedDate(w) {
+    if (w.added) return w.added;
+    return w.joinedAt ? w.joinedAt.slice(0, 10) : null;
+}
+
+// Monday of the week containing isoDate
+function getWeekStartIsoDate(isoDate) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return isoDate;
+    const offset = (date.getUTCDay() + 6) % 7;
+    return addDaysToIsoDate(isoDate, -offset);
+}
+
+function getWeightBucketCounts() {
+    const counts = new Map(WEIGHT_BUCKET_ORDER.map(weight => [getWeightLabel(weight), 0]));
+    words.forEach(w => {
+        const label = getWeightLabel(w.weight);
+        counts.set(label, (counts.get(label) || 0) + 1);
+    });
+    return Array.from(counts, ([label, value]) => ({ label, value }));
+}
+
+function getAddedCounts(period) {
+    const isWeek = period === 'week';
+    const today = getTodayIsoDate();
+    const end = isWeek ? getWeekStartIsoDate(today) : today;
+    const span = isWeek ? STATS_WEEK_SPAN : STATS_DAY_SPAN;
+    const step = isWeek ? 7 : 1;
+
+    const buckets = new Map();
+    for (let i = span - 1; i >= 0; i--) {
+        buckets.set(addDaysToIsoDate(end, -i * step), 0);
+    }
+    words.forEach(w => {
+        const added = getWordAddedDate(w);
+        if (!added) return;
+        const key = isWeek ? getWeekStartIsoDate(added) : added;
+        if (buckets.has(key)) buckets.set(key, buckets.get(key) + 1);
+    });
+    return Array.from(buckets, ([date, value]) => ({ label: formatDateByRules(date), value }));
+}
+
+function getTagDistribution() {
+    const counts = new Map(tagRegistry.map(t => [t.id, 0]));
+    let untagged = 0;
+    words.forEach(w => {
+        const tags = getWordTagIds(w);
+        if (tags.length === 0) untagged++;
+        tags.forEach(id => {
+            if (counts.has(id)) counts.set(id, counts.get(id) + 1);
+        });
+    });
+    const items = tagRegistry
+        .map(t => ({ label: getTagLabel(t.id), value: counts.get(t.id) }))
+        .sort((a, b) => b.value - a.value);
+    if (untagged > 0) items.push({ label: 'Untagged', value: untagged });
+    return items;
+}
+
+// Accuracy (0-100) per recent quiz session, oldest first
+function getAccuracyTrend() {
+    return getReviewSessions()
+        .slice(0, STATS_TREND_SESSIONS)
+        .reverse()
+        .map(session => ({
+            label: formatReviewTimestamp(session.startedAt),
+            value: getReviewAccuracy(session.entries)
+        }));
+}
+
+function renderHorizontalBarChartSvg(items) {
+    if (items.length === 0) return '<div class="stats-empty">No data</div>';
+    const rowHeight = 22;
+    const labelWidth = 120;
+    const valueWidth = 48;
+    const barSpace = STATS_CHART_WIDTH - labelWidth - valueWidth;
+    const max = Math.max(1, ...items.map(item => item.value));
+    const height = items.length * rowHeight;
+
+    let svg = `<svg class="stats-chart" viewBox="0 0 ${STATS_CHART_WIDTH} ${height}" role="img">`;
+    items.forEach((item, i) => {
+        const y = i * rowHeight;
+        const barWidth = item.value > 0 ? Math.max(2, item.value / max * barSpace) : 0;
+        svg += `<text class="stats-label" x="${labelWidth - 8}" y="${y + 15}" text-anchor="end">${escapeHtml(item.label)}</text>`;
+        svg += `<rect class="stats-bar" x="${labelWidth}" y="${y + 4}" width="${barWidth}" height="${rowHeight - 8}"></rect>`;
+        svg += `<text class="stats-value" x="${labelWidth + barWidth + 6}" y="${y + 15}">${item.value}</text>`;
+    });
+    return svg + '</svg>';
+}
+
+function renderColumnChartSvg(items) {
+    if (items.length === 0) return '<div class="stats-empty">No data</div>';
+    const height = 160;
+    const axisHeight = 20;
+    const plotHeight = height - axisHeight - 14;
+    const slot = STATS_CHART_WIDTH / items.length;
+    const max = Math.max(1, ...items.map(item => item.value));
+    const labelEvery = Math.ceil(items.length / 8);
+
+    let svg = `<svg class="stats-chart" viewBox="0 0 ${STATS_CHART_WIDTH} ${height}" role="img">`;
+    svg += `<line class="stats-axis" x1="0" y1="${height - axisHeight}" x2="${STATS_CHART_WIDTH}" y2="${height - axisHeight}"></line>`;
+    items.forEach((item, i) => {
+        const barHeight = item.value / max * plotHeight;
+        const x = i * slot + slot * 0.15;
+        const y = height - axisHeight - barHeight;
+        svg += `<rect class="stats-bar" x="${x}" y="${y}" width="${slot * 0.7}" height="${barHeight}"><title>${escapeHtml(item.label)}: ${item.value}</title></rect>`;
+        if (item.value > 0) {
+            svg += `<text class="stats-value" x="${x + slot * 0.35}" y="${y - 3}" text-anchor="middle">${item.value}</text>`;
+        }
+        if (i % labelEvery === 0 || i === items.length - 1) {
+            svg += `<text class="stats-label" x="${x + slot * 0.35}" y="${height - 5}" text-anchor="middle">${escapeHtml(item.label)}</text>`;
+        }
+    });
+    return svg + '</svg>';
+}
+
+// Values are percentages (0-100)
+function renderLineChartSvg(items) {
+    if (items.length === 0) return '<div class="stats-empty">No quizzes recorded yet</div>';
+    const height = 160;
+    const padX = 28;
+    const padTop = 12;
+    const plotHeight = height - padTop - 20;
+    const plotWidth = STATS_CHART_WIDTH - padX * 2;
+    const stepX = items.length > 1 ? plotWidth / (items.length - 1) : 0;
+    const toY = value => padTop + plotHeight - value / 100 * plotHeight;
+    const points = items.map((item, i) => ({ x: padX + i * stepX, y: toY(item.value), item }));
+
+    let svg = `<svg class="stats-chart" viewBox="0 0 ${STATS_CHART_WIDTH} ${height}" role="img">`;
+    [0, 50, 100].forEach(value => {
+        svg += `<line class="stats-grid" x1="${padX}" y1="${toY(value)}" x2="${STATS_CHART_WIDTH - padX}" y2="${toY(value)}"></line>`;
+        svg += `<text class="stats-label" x="${padX - 6}" y="${toY(value) + 4}" text-anchor="end">${value}</text>`;
+    });
+    svg += `<polyline class="stats-line" points="${points.map(p => `${p.x},${p.y}`).join(' ')}"></polyline>`;
+    points.forEach(p => {
+        svg += `<circle class="stats-point" cx="${p.x}" cy="${p.y}" r="3"><title>${escapeHtml(p.item.label)}: ${p.item.value}%</title></circle>`;
+    });
+    return svg + '</svg>';
+}
+
+function openStatsModal() {
+    renderStats();
+    document.getElementById('statsModal').classList.add('active');
+}
+
+function closeStatsModal() {
+    document.getElementById('statsModal').classList.remove('active');
+}
+
+function switchStatsAddedPeriod(period) {
+    _statsAddedPeriod = period;
+    renderStats();
+}
+
+function renderStats() {
+    const summaryEl = document.getElementById('statsSummary');
+    if (!summaryEl) return;
+
+    const accuracy = reviewLog.length > 0 ? `${getReviewAccuracy(reviewLog)}%` : '—';
+    const summaryItems = [
+        { label: 'Words', value: words.length },
+        { label: 'Due Today', value: getDueWords().length },
+        { label: 'Reviews', value: reviewLog.length },
+        { label: 'Accuracy', value: accuracy }
+    ];
+    summaryEl.innerHTML = summaryItems.map(item =>
+        `<div class="stats-summary-item"><div class="stats-summary-value">${item.value}</div><div class="stats-summary-label">${item.label}</div></div>`
+    ).join('');
+
+    document.querySelectorAll('#statsModal .segmented-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.period === _statsAddedPeriod);
+    });
+
+    document.getElementById('statsWeightChart').innerHTML = renderHorizontalBarChartSvg(getWeightBucketCounts());
+    document.getElementById('statsAddedChart').innerHTML = renderColumnChartSvg(getAddedCounts(_statsAddedPeriod));
+    document.getElementById('statsTagChart').innerHTML = tagRegistry.length > 0
+        ? renderHorizontalBarChartSvg(getTagDistribution())
+        : '<div class="stats-empty">No tags yet</div>';
+    document.getElementById('statsAccuracyChart').innerHTML = renderLineChartSvg(getAccuracyTrend());
+}
+
+bindModalBackdropPressReleaseClose(
+    document.getElementById('statsModal'),
+    closeStatsModal
+);
+
+// ========================================
+// Word History
+// ========================================
+
+let _wordHistoryWord = null; // current spelling of the word shown in the history modal
+let _wordHistoryWordId = null;
+
+// States of one word along the current version path, oldest first: [{ versionId, version, entry }].
+// Entries are matched by id, which follows the word through renames. Versions saved before words
+// had ids get the ids ensureWordIds derives for them on checkout; when even that finds nothing,
+// the spelling last seen is tried.
+function collectWordStates(word, id = null) {
+    if (!versionControl || !versionControl.currentId) return [];
+    const path = buildVersionPath(versionControl.currentId);
+    const states = [];
+    let key = word;
+    for (let i = path.length - 1; i >= 0; i--) {
+        let data = versionControl.resolveData(path[i].id) || [];
+        const legacy = data.some(w => !w.id);
+        if (legacy) {
+            data = data.map(w => ({ ...w }));
+            ensureWordIds(data);
+        }
+        let entry = id ? data.find(w => w.id === id) : null;
+        if (!entry && (!id || legacy)) entry = data.find(w => w.word === key);
+        if (entry) key = entry.word;
+        states.unshift({ versionId: path[i].id, version: path[i].version, entry: entry ? withWordSenses(entry) : null });
+    }
+    return states;
+}
+
+// Versions where the word appeared, disappeared or changed: [{ versionId, version, type, fields, entry }]
+function getWordHistory(word, id = null) {
+    const events = [];
+    let previous = null;
+    collectWordStates(word, id).forEach(({ versionId, version, entry }) => {
+        if (entry && !previous) {
+            events.push({ versionId, version, type: 'added', fields: [], entry });
+        } else if (!entry && previous) {
+            events.push({ versionId, version, type: 'removed', fields: [], entry: previous });
+        } else if (entry && previous) {
+            const fields = getWordFieldDifferences(previous, entry);
+            if (previous.word !== entry.word) fields.unshift('word');
+            if (fields.length > 0) events.push({ versionId, version, type: 'changed', fields, before: previous, entry });
+        }
+        previous = entry;
+    });
+    return events;
+}
+
+function openWordHistory(id) {
+    const word = getWordById(id);
+    if (!word) return;
+    _wordHistoryWord = word.word;
+    _wordHistoryWordId = id;
+    renderWordHistory();
+    document.getElementById('wordHistoryModal').classList.add('active');
+}
+
+function closeWordHistory() {
+    document.getElementById('wordHistoryModal').classList.remove('active');
+    _wordHistoryWord = null;
+    _wordHistoryWordId = null;
+}
+
+function _formatWordHistoryField(key, before, after) {
+    if (key === 'word') {
+        return `<div class="word-diff-field"><span class="word-diff-field-label">Word</span><del class="word-diff-old">${escapeHtml(before)}</del> → <ins class="word-diff-new">${escapeHtml(after)}</ins></div>`;
+    }
+    return renderWordDiffField(key, before, after);
+}
+
+function renderWordHistory() {
+    const timeline = document.getElementById('wordHistoryTimeline');
+    document.getElementById('wordHistoryTitle').textContent = `History: ${_wordHistoryWord}`;
+
+    const events = getWordHistory(_wordHistoryWord, _wordHistoryWordId);
+    if (events.length === 0) {
+        timeline.innerHTML = '<div class="word-history-empty">No recorded versions of this word</div>';
+        return;
+    }
+
+    const current = getWordById(_wordHistoryWordId);
+    timeline.innerHTML = events.slice().reverse().map(event => {
+        let body;
+        if (event.type === 'added') {
+            body = `<div class="word-history-summary">Added: ${escapeHtml(event.entry.meaning || '')}</div>`;
+        } else if (event.type === 'removed') {
+            body = '<div class="word-history-summary">Removed</div>';
+        } else {
+            body = event.fields.map(key => _formatWordHistoryField(key, event.before[key], event.entry[key])).join('');
+        }
+        const canRestore = event.type !== 'removed' && (!current || current.word !== event.entry.word || getWordFieldDifferences(current, event.entry).length > 0);
+        const label = escapeHtml(getVersionDisplayLabel(event.version));
+        return `
+            <div class="word-history-item">
+                <div class="word-history-head">
+                    <span class="word-history-label">${label}</span>
+                    <span class="word-history-date">${formatVersionDate(event.version.timestamp)}</span>
+                    ${canRestore ? `<button class="btn-secondary word-history-restore" onclick="restoreWordFromVersion('${event.versionId}')">Restore</button>` : ''}
+                </div>
+                ${body}
+            </div>
+        `;
+    }).join('');
+}
+
+// Bring back the word's state from one version, leaving every other word untouched
+async function restoreWordFromVersion(versionId) {
+    const event = getWordHistory(_wordHistoryWord, _wordHistoryWordId).find(e => e.versionId === versionId);
+    if (!event) return;
+
+    const shouldRestore = await showInPageConfirm({
+        title: 'Restore Word',
+        message: `Restore "${_wordHistoryWord}" to its state at ${formatVersionDate(event.version.timestamp)}?`,
+        confirmText: 'Restore'
+    });
+    if (!shouldRestore) return;
+
+    const restored = toCanonicalWord(JSON.parse(JSON.stringify(event.entry)));
+    restored.tags = (restored.tags || []).filter(id => tagRegistry.some(t => t.id === id));
+    const index = getWordIndexById(_wordHistoryWordId);
+    if (index >= 0 && words.some((w, i) => i !== index && w.word === restored.word)) {
+        showStatus(`"${restored.word}" already exists`, 'error');
+        return;
+    }
+    restored.id = _wordHistoryWordId;
+    if (index >= 0) {
+        words[index] = restored;
+    } else {
+        words.push(restored);
+    }
+
+    // Record the name before the restore so the history can follow a rename back
+    saveData(false, `↺　${_wordHistoryWord}`);
+    _wordHistoryWord = restored.word;
+    renderWords();
+    renderWordHistory();
+    showStatus('Word restored', 'success');
+}
+
+bindModalBackdropPressReleaseClose(
+    document.getElementById('wordHistoryModal'),
+    closeWordHistory
+);
+
 initInPageConfirmModal();
 
 // Registry divider drag-to-resize